@@ -0,0 +1,511 @@
+/**
+ * BOOKISH LIBRARY - IMPORT ADAPTERS
+ * One adapter per export format (Goodreads, StoryGraph, LibraryThing,
+ * Bookish's own JSON). detectImport() picks the adapter from the file's
+ * headers / shape; each adapter turns a record into an import item for
+ * the preview and lists the columns it reads, so anything else in the
+ * file can be reported as unmapped.
+ *
+ * Adapter shape:
+ *   {
+ *     id, label,
+ *     kind: 'table' | 'json',
+ *     detect(headers | data) → boolean,
+ *     columns: [...]               — fields the adapter reads
+ *     records(data) → [...]        — json adapters only: the book records
+ *     map(record) → { book, finishedAt, source }
+ *   }
+ */
+
+import { autoClassifyGenre } from './api.js';
+import {
+  applyDefaults, formatNames, fromRow, normalizeContributors, normalizeRating, normalizeTags,
+  splitSeriesFromTitle, COLUMNS
+} from './book.js';
+import { isBackup, migrateBackup } from './backup.js';
+import { parseCSV, rowsToRecords } from './csv.js';
+import { parseISBN } from './isbn.js';
+import { cleanISBN } from './utils.js';
+
+// ── Shared helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Goodreads wraps ISBNs as ="9780140328721" to stop Excel mangling them;
+ * LibraryThing wraps them in [brackets]
+ */
+function unwrapValue(value) {
+  return String(value ?? '')
+    .replace(/^="?/, '')
+    .replace(/"$/, '')
+    .replace(/^\[|\]$/g, '')
+    .trim();
+}
+
+/**
+ * An ISBN worth keeping: cleaned, or '' when the check digit is wrong
+ * (or it's another kind of id) so one bad value doesn't fail the book
+ */
+function importISBN(value) {
+  const isbn = cleanISBN(unwrapValue(value));
+  return parseISBN(isbn) ? isbn : '';
+}
+
+/**
+ * Accepts YYYY/MM/DD or YYYY-MM-DD (with or without a time part)
+ */
+function toISODate(value) {
+  const match = String(value ?? '').match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+  if (!match) return '';
+  const [, year, month, day] = match;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Map a binding / format / media description to our formats
+ */
+function formatsFromBinding(binding) {
+  const lower = (binding || '').toLowerCase();
+  if (lower.includes('kindle') || lower.includes('ebook') || lower.includes('digital')) return ['kindle'];
+  if (lower.includes('audio')) return ['audible'];
+  return ['physical'];
+}
+
+/**
+ * Split a comma-separated list ("fantasy, to-buy") into trimmed values
+ */
+function splitList(value) {
+  return String(value ?? '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * "Dahl, Roald" → "Roald Dahl" (LibraryThing stores authors last-name-first)
+ */
+function invertName(name) {
+  const parts = String(name ?? '').split(',').map(s => s.trim());
+  return parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : String(name ?? '').trim();
+}
+
+/**
+ * Authors (in order) followed by other contributors, as book fields
+ * @param {Array} authors - names
+ * @param {Array} others - [{ name, role }]
+ */
+function withContributors(authors, others = []) {
+  const contributors = normalizeContributors([
+    ...authors.map(name => ({ name, role: 'author' })),
+    ...others
+  ]);
+  const authorNames = contributors.filter(c => c.role === 'author').map(c => c.name);
+  return {
+    // An anthology may only list an editor — they stand in as the author
+    author: formatNames(authorNames) || contributors[0]?.name || '',
+    contributors
+  };
+}
+
+function joinNotes(...parts) {
+  return parts.map(p => String(p ?? '').trim()).filter(Boolean).join('\n');
+}
+
+function classify(categories) {
+  return autoClassifyGenre(categories) || {};
+}
+
+/**
+ * List values minus the ones that are really statuses (case-insensitive)
+ */
+function without(values, excluded) {
+  return values.filter(value => !excluded.includes(value.toLowerCase()));
+}
+
+// ── Goodreads (CSV) ───────────────────────────────────────────────────────────
+
+const GOODREADS_SHELF_STATUS = {
+  'read': 'read',
+  'currently-reading': 'reading',
+  'to-read': 'unread'
+};
+
+const goodreads = {
+  id: 'goodreads',
+  label: 'Goodreads',
+  kind: 'table',
+  columns: [
+    'Title', 'Author', 'Additional Authors', 'Exclusive Shelf', 'Bookshelves', 'My Rating', 'My Review',
+    'Private Notes', 'Binding', 'ISBN', 'ISBN13', 'Date Added', 'Date Read'
+  ],
+
+  detect(headers) {
+    return ['Title', 'Author', 'Exclusive Shelf'].every(h => headers.includes(h));
+  },
+
+  map(record) {
+    const shelves = splitList(record['Bookshelves']);
+    const classification = classify(shelves);
+    const status = GOODREADS_SHELF_STATUS[record['Exclusive Shelf']] || 'unread';
+    const { title, series, seriesPosition } = splitSeriesFromTitle(record['Title']);
+
+    // Goodreads doesn't say what the additional authors did
+    const additional = splitList(record['Additional Authors'])
+      .map(name => ({ name, role: 'contributor' }));
+
+    const book = applyDefaults({
+      title,
+      series,
+      seriesPosition,
+      ...withContributors([record['Author']].filter(Boolean), additional),
+      status,
+      genre: classification.genre,
+      fictionType: classification.fictionType,
+      formats: formatsFromBinding(record['Binding']),
+      // Goodreads shelves are really tags; the exclusive ones are the status
+      tags: normalizeTags(without(shelves, Object.keys(GOODREADS_SHELF_STATUS))),
+      notes: record['Private Notes'],
+      rating: normalizeRating(record['My Rating']),
+      // Goodreads keeps line breaks in reviews as <br/>
+      review: (record['My Review'] || '').replace(/<br\s*\/?>/gi, '\n'),
+      isbn: importISBN(record['ISBN13']) || importISBN(record['ISBN']),
+      acquiredDate: toISODate(record['Date Added'])
+    });
+
+    return {
+      book,
+      finishedAt: status === 'read' ? toISODate(record['Date Read']) : '',
+      source: record
+    };
+  }
+};
+
+// ── StoryGraph (CSV) ──────────────────────────────────────────────────────────
+
+const STORYGRAPH_STATUS = {
+  'read': 'read',
+  'currently-reading': 'reading',
+  'to-read': 'unread',
+  'paused': 'unread',
+  'did-not-finish': 'unread'
+};
+
+const storygraph = {
+  id: 'storygraph',
+  label: 'StoryGraph',
+  kind: 'table',
+  columns: [
+    'Title', 'Authors', 'Contributors', 'ISBN/UID', 'Format', 'Read Status', 'Date Added',
+    'Last Date Read', 'Star Rating', 'Review', 'Tags'
+  ],
+
+  detect(headers) {
+    return ['Title', 'Authors', 'Read Status'].every(h => headers.includes(h));
+  },
+
+  map(record) {
+    const tags = splitList(record['Tags']);
+    const classification = classify(tags);
+    const status = STORYGRAPH_STATUS[record['Read Status']] || 'unread';
+
+    // Contributors are "Name (Translator), Name (Narrator)"
+    const contributors = splitList(record['Contributors']).map(entry => {
+      const match = entry.match(/^(.*?)\s*\(([^)]*)\)$/);
+      return match ? { name: match[1], role: match[2] } : { name: entry, role: 'contributor' };
+    });
+
+    const book = applyDefaults({
+      title: record['Title'],
+      ...withContributors(splitList(record['Authors']), contributors),
+      status,
+      genre: classification.genre,
+      fictionType: classification.fictionType,
+      formats: formatsFromBinding(record['Format']),
+      tags: normalizeTags(tags),
+      rating: normalizeRating(record['Star Rating']),
+      review: record['Review'],
+      // ISBN/UID holds StoryGraph's own id when the edition has no ISBN
+      isbn: importISBN(record['ISBN/UID']),
+      acquiredDate: toISODate(record['Date Added'])
+    });
+
+    return {
+      book,
+      finishedAt: status === 'read' ? toISODate(record['Last Date Read']) : '',
+      source: record
+    };
+  }
+};
+
+// ── LibraryThing (TSV and JSON) ───────────────────────────────────────────────
+
+// LibraryThing's built-in collections; any others become shelves
+const LIBRARYTHING_COLLECTIONS = [
+  'your library', 'currently reading', 'to read', 'read but unowned', 'wishlist', 'favorites'
+];
+
+/**
+ * LibraryThing separates repeated values with "|" or ";"
+ */
+function splitMulti(value) {
+  return String(value ?? '')
+    .split(/[|;]/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * LibraryThing has no status field; collections and dates stand in for it
+ */
+function libraryThingStatus(collections, dateRead) {
+  const lower = collections.map(c => c.toLowerCase());
+  if (lower.includes('currently reading')) return 'reading';
+  if (dateRead || lower.includes('read but unowned')) return 'read';
+  return 'unread';
+}
+
+const librarythingTsv = {
+  id: 'librarything-tsv',
+  label: 'LibraryThing',
+  kind: 'table',
+  columns: [
+    'Book Id', 'Title', 'Primary Author', 'Secondary Author', 'Secondary Author Roles', 'Date', 'Review', 'Rating', 'Comment',
+    'Private Comment', 'Media', 'Acquired', 'Date Read', 'Tags', 'Collections',
+    'ISBN', 'ISBNs', 'Subjects', 'Entry Date'
+  ],
+
+  detect(headers) {
+    return ['Book Id', 'Title', 'Primary Author'].every(h => headers.includes(h));
+  },
+
+  map(record) {
+    const tags = splitList(record['Tags']);
+    const collections = splitList(record['Collections']);
+    const classification = classify([...tags, record['Subjects']].filter(Boolean));
+    const finishedAt = toISODate(record['Date Read']);
+    const status = libraryThingStatus(collections, finishedAt);
+
+    // Secondary authors and their roles are parallel lists
+    const roles = splitMulti(record['Secondary Author Roles']);
+    const secondary = splitMulti(record['Secondary Author'])
+      .map((name, i) => ({ name: invertName(name), role: roles[i] || 'contributor' }));
+
+    const book = applyDefaults({
+      title: record['Title'],
+      ...withContributors([invertName(record['Primary Author'])].filter(Boolean), secondary),
+      status,
+      genre: classification.genre,
+      fictionType: classification.fictionType,
+      formats: formatsFromBinding(record['Media']),
+      tags: normalizeTags(tags),
+      shelves: normalizeTags(without(collections, LIBRARYTHING_COLLECTIONS)),
+      notes: joinNotes(record['Comment'], record['Private Comment']),
+      rating: normalizeRating(record['Rating']),
+      review: record['Review'],
+      isbn: importISBN(record['ISBN']) || importISBN(splitList(unwrapValue(record['ISBNs']))[0]),
+      publicationDate: record['Date'],
+      acquiredDate: toISODate(record['Acquired']) || toISODate(record['Entry Date'])
+    });
+
+    return {
+      book,
+      finishedAt: status === 'read' ? finishedAt : '',
+      source: record
+    };
+  }
+};
+
+/**
+ * LibraryThing JSON stores ISBNs as a string, an array or an index-keyed object
+ */
+function firstIsbn(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return Object.values(value).find(Boolean) || '';
+}
+
+function asList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+const librarythingJson = {
+  id: 'librarything-json',
+  label: 'LibraryThing',
+  kind: 'json',
+  columns: [
+    'books_id', 'title', 'primaryauthor', 'authors', 'date', 'review', 'rating',
+    'comment', 'privatecomment', 'format', 'dateacquired', 'entrydate',
+    'datefinished', 'tags', 'genre', 'subject', 'collections', 'isbn', 'originalisbn'
+  ],
+
+  // An object keyed by book id: { "123": { books_id, title, ... } }
+  detect(data) {
+    if (!data || Array.isArray(data) || typeof data !== 'object') return false;
+    const first = Object.values(data)[0];
+    return Boolean(first && typeof first === 'object' && 'books_id' in first && 'title' in first);
+  },
+
+  records(data) {
+    return Object.values(data);
+  },
+
+  map(record) {
+    const categories = [
+      ...asList(record.tags),
+      ...asList(record.genre),
+      ...asList(record.subject).flat()
+    ].map(String);
+    const classification = classify(categories);
+
+    const collections = asList(record.collections).map(String);
+    const dateRead = asList(record.datefinished)[0];
+    const finishedAt = toISODate(dateRead);
+    const status = libraryThingStatus(collections, finishedAt);
+    // authors: [{ lf: "Dahl, Roald", fl: "Roald Dahl", role: "Author" }], primary first
+    const people = asList(record.authors)
+      .map(person => ({ name: person.fl || invertName(person.lf), role: person.role || '' }));
+    if (record.primaryauthor && people.length === 0) {
+      people.push({ name: invertName(record.primaryauthor), role: 'author' });
+    }
+
+    const book = applyDefaults({
+      title: record.title,
+      ...withContributors([], people),
+      status,
+      genre: classification.genre,
+      fictionType: classification.fictionType,
+      formats: formatsFromBinding(asList(record.format).map(f => f.text || f).join(' ')),
+      tags: normalizeTags(asList(record.tags).map(String)),
+      shelves: normalizeTags(without(collections, LIBRARYTHING_COLLECTIONS)),
+      notes: joinNotes(record.comment, record.privatecomment),
+      rating: normalizeRating(record.rating),
+      review: record.review ? String(record.review) : '',
+      isbn: importISBN(record.originalisbn) || importISBN(firstIsbn(record.isbn)),
+      publicationDate: record.date ? String(record.date) : '',
+      acquiredDate: toISODate(record.dateacquired) || toISODate(record.entrydate)
+    });
+
+    return {
+      book,
+      finishedAt: status === 'read' ? finishedAt : '',
+      source: record
+    };
+  }
+};
+
+// ── Bookish (JSON backup) ─────────────────────────────────────────────────────
+
+// Backups normally go through Restore (which keeps ids); this adapter is
+// for reviewing one book by book as new additions instead
+const bookish = {
+  id: 'bookish',
+  label: 'Bookish backup',
+  kind: 'json',
+  // id, user_id and added_at are read but replaced — imports are new books
+  columns: Object.values(COLUMNS),
+
+  detect(data) {
+    return isBackup(data);
+  },
+
+  // Any backup version, migrated to bookslist rows
+  records(data) {
+    return migrateBackup(data).books;
+  },
+
+  map(record) {
+    return {
+      book: applyDefaults({ ...fromRow(record), isbn: importISBN(record.isbn) }),
+      finishedAt: '',
+      source: record
+    };
+  }
+};
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+
+// Checked in order; the first adapter whose detect() passes wins
+const ADAPTERS = [goodreads, storygraph, librarythingTsv, librarythingJson, bookish];
+
+/**
+ * Register an extra adapter (checked before the built-in ones)
+ */
+export function registerAdapter(adapter) {
+  ADAPTERS.unshift(adapter);
+}
+
+/**
+ * Fields that hold a value in at least one record but no adapter column
+ */
+function findUnmapped(records, columns) {
+  const known = new Set(columns);
+  const unmapped = new Set();
+
+  records.forEach(record => {
+    Object.entries(record).forEach(([key, value]) => {
+      if (known.has(key)) return;
+      const empty = value === null || value === undefined || value === '' ||
+        (typeof value === 'object' && Object.keys(value).length === 0);
+      if (!empty) unmapped.add(key);
+    });
+  });
+
+  return Array.from(unmapped);
+}
+
+/**
+ * Tabs in the header line mean a TSV export (LibraryThing)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const tabs = firstLine.split('\t').length;
+  const commas = firstLine.split(',').length;
+  return tabs > commas ? '\t' : ',';
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Work out the file's format and map every record
+ * @param {string} text - file contents
+ * @returns {Object|null} { adapter, items, unmapped } or null if unrecognised
+ */
+export function detectImport(text) {
+  const data = /^\s*[[{]/.test(text) ? parseJSON(text) : undefined;
+
+  if (data !== undefined) {
+    const adapter = ADAPTERS.find(a => a.kind === 'json' && a.detect(data));
+    if (!adapter) return null;
+
+    const records = adapter.records(data).filter(record => record?.title);
+    return {
+      adapter,
+      items: records.map(record => adapter.map(record)),
+      unmapped: findUnmapped(records, adapter.columns)
+    };
+  }
+
+  const { headers, records } = rowsToRecords(parseCSV(text, detectDelimiter(text)));
+  const adapter = ADAPTERS.find(a => a.kind === 'table' && a.detect(headers));
+  if (!adapter) return null;
+
+  const withTitle = records.filter(record => record['Title']);
+  return {
+    adapter,
+    items: withTitle.map(record => adapter.map(record)),
+    unmapped: findUnmapped(withTitle, adapter.columns)
+  };
+}
+
+/**
+ * Labels of the built-in formats, for error messages
+ */
+export function getSupportedFormats() {
+  return Array.from(new Set(ADAPTERS.map(a => a.label)));
+}
@@ -1,14 +1,16 @@
 /**
  * BOOKISH LIBRARY - API MODULE
- * Handles ISBN lookup using the Vercel serverless API
+ * ISBN lookup (through the metadata provider chain) and genre guessing
  */
 
-const ISBN_API_URL = 'https://bookish-isbn-api.vercel.app/api/lookup';
+import { isbnProblem, compactISBN } from './isbn.js';
+import { lookupWithProviders } from './providers.js';
 
 /**
- * Lookup book by ISBN using the Vercel API
- * This API tries Google Books (with key) then falls back to Open Library
- * 
+ * Lookup book by ISBN through the provider chain (see providers.js)
+ * Fields are merged across providers; `sources` says which provider
+ * supplied each one and `source` names them all for display.
+ *
  * @param {string} isbn - ISBN-10 or ISBN-13
  * @returns {Promise<Object|null>} Book data or null if not found
  */
@@ -16,37 +18,21 @@ export async function lookupISBN(isbn) {
   console.log('=== ISBN LOOKUP START ===');
   console.log('ISBN:', isbn);
 
+  let book;
   try {
-    const url = `${ISBN_API_URL}?isbn=${encodeURIComponent(isbn)}`;
-    console.log('Fetching:', url);
-
-    const response = await fetch(url);
-    const result = await response.json();
-
-    console.log('API Response:', result);
-
-    if (result.success && result.book) {
-      const book = result.book;
-      console.log('✅ Book found via', book.source);
-
-      // Return normalized book data
-      return {
-        title: book.title || '',
-        author: book.author || '',
-        isbn: book.isbn || isbn,
-        publicationDate: book.publicationDate || '',
-        coverUrl: book.coverUrl || '',
-        categories: book.categories || [],
-        source: book.source
-      };
-    } else {
-      console.log('❌ Book not found');
-      return null;
-    }
+    book = await lookupWithProviders(isbn);
   } catch (error) {
     console.error('ISBN lookup error:', error);
     throw new Error('Failed to lookup ISBN. Please check your internet connection.');
   }
+
+  if (!book) {
+    console.log('❌ Book not found');
+    return null;
+  }
+
+  console.log('✅ Book found via', book.source, book.sources);
+  return { ...book, isbn: book.isbn || isbn };
 }
 
 /**
@@ -135,19 +121,16 @@ export function autoClassifyGenre(categories) {
 }
 
 /**
- * Validate ISBN format
+ * Validate an ISBN before looking it up: length, 978/979 prefix and
+ * check digit, so a mis-scan doesn't cost a lookup
  */
 export function validateISBN(isbn) {
   if (!isbn) return { valid: false, message: 'ISBN is required' };
 
-  const cleaned = isbn.replace(/[-\s]/g, '');
-  
-  if (!/^\d{10}$/.test(cleaned) && !/^\d{13}$/.test(cleaned)) {
-    return { 
-      valid: false, 
-      message: 'ISBN must be 10 or 13 digits' 
-    };
+  const message = isbnProblem(isbn);
+  if (message) {
+    return { valid: false, message };
   }
 
-  return { valid: true, isbn: cleaned };
+  return { valid: true, isbn: compactISBN(isbn) };
 }
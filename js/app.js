@@ -5,12 +5,21 @@
 
 import { dataStore } from './data.js';
 import { lookupISBN, autoClassifyGenre, validateISBN } from './api.js';
-import { startBarcodeScanner, stopBarcodeScanner } from './barcode.js';
+import { startBarcodeScanner, stopBarcodeScanner, decodeImageBarcodes } from './barcode.js';
 import { 
   renderBooksTable, 
+  renderBooksGrid,
+  setLibraryLayout,
   updateCounts, 
   updateGenreFilter,
+  updateTagOptions,
+  updateSeriesOptions,
+  addContributorRow,
   updateSortIndicator,
+  setFilterControls,
+  renderSavedViews,
+  updatePendingIndicator,
+  updateGoalRing,
   openDetailSheet,
   closeDetailSheet,
   openBookModal,
@@ -24,55 +33,110 @@ import {
   showToast,
   debounce,
   buildAmazonUrl,
-  copyToClipboard,
-  downloadJSON,
-  getExportFilename,
-  parseImportedJSON
+  copyToClipboard
 } from './utils.js';
 import { initDiscover } from './discover.js';
+import { initStats } from './stats.js';
+import { initSeries } from './series.js';
+import { initAuthors, openAuthor } from './authors.js';
+import { initImporter, importFileText, findExisting } from './importer.js';
+import {
+  initBatchScan, openBatchScan, closeBatchScan, isBatchScanOpen, reviewScannedISBNs
+} from './batchscan.js';
+import { getSupportedFormats } from './adapters.js';
+import { initExporter, openExportDialog } from './exporter.js';
+import { computeGoalProgress, milestoneCrossed } from './goal.js';
+import { normalizeTags } from './book.js';
+import { defaultFilters, toQueryString, fromQueryString } from './views.js';
+import { ChipInput } from './chips.js';
+import { initCovers } from './covers.js';
+import { registerServiceWorker } from './pwa.js';
+import { requireUser, signOut, onSignedOut } from './auth.js';
+
+// Table or cover grid — a per-device preference, so not in the URL
+const LAYOUT_KEY = 'bookish_layout';
 
 /**
  * Application State
  */
 const state = {
   currentBooks: [],
-  filters: {
-    search: '',
-    fictionType: '',
-    genre: '',
-    status: '',
-    formats: []
-  },
+  filters: defaultFilters(),
   sort: {
     by: 'title',
     ascending: true
   },
+  // Column sort to return to when the search box is cleared
+  sortBeforeSearch: null,
+  layout: localStorage.getItem(LAYOUT_KEY) === 'grid' ? 'grid' : 'table',
   selectMode: false,
   selectedIds: new Set()
 };
 
+// Chip input for the tag filter (created in setupEventListeners)
+let tagFilterInput = null;
+
 /**
  * Initialize Application
  */
 async function init() {
   console.log('🚀 Bookish Library v2 Initializing...');
 
-  // Load and render initial data
+  // Offline app shell + update prompts (also needed on the login screen)
+  registerServiceWorker();
+
+  // Broken cover images fall back to the generated tile
+  initCovers();
+  setLibraryLayout(state.layout);
+
+  // Filters and sort from the URL (?status=unread&sort=-rating), and an
+  // ?isbn= from the iOS Shortcut — read now, as rendering rewrites the URL
+  const params = new URLSearchParams(window.location.search);
+  const isbnParam = params.get('isbn');
+  ({ filters: state.filters, sort: state.sort } = fromQueryString(params));
+
+  // Everything below is scoped to the signed-in user's library
+  const user = await requireUser();
+  dataStore.setUser(user.id);
+  updateAccountButton(user.email);
+  onSignedOut(() => window.location.reload());
+
+  // Show the pending-changes badge whenever the offline queue changes
+  dataStore.onSyncStatusChange(({ pending }) => {
+    updatePendingIndicator(pending, navigator.onLine);
+  });
+
+  // Render the cached copy immediately, then refresh from Supabase
+  if (await dataStore.loadFromCache()) {
+    renderCurrentData();
+  }
   await loadAndRender();
 
   // Setup event listeners
   setupEventListeners();
+  syncFilterControls();
 
   // Discover feature
-  initDiscover();
+  initDiscover({ onLibraryChanged: loadAndRender });
 
-  // Check for ?isbn= URL parameter (e.g., from iOS Shortcut)
-  const params = new URLSearchParams(window.location.search);
-  const isbnParam = params.get('isbn');
+  // Stats dashboard, series and author views
+  initStats();
+  initSeries({
+    onSelectBook: book => openDetailSheet(book, dataStore.getSessionsForBook(book.id))
+  });
+  initAuthors({
+    onSelectBook: book => openDetailSheet(book, dataStore.getSessionsForBook(book.id))
+  });
+
+  // Import preview and export dialog
+  initImporter({ onImported: loadAndRender });
+  initBatchScan();
+  initExporter({ getCurrentBooks: () => state.currentBooks });
+
+  // ?isbn= URL parameter (e.g., from iOS Shortcut) — already dropped from
+  // the URL by updateUrl() so reloads don't re-trigger
   if (isbnParam) {
     console.log('📖 ISBN parameter detected:', isbnParam);
-    // Clean the URL so reloads don't re-trigger
-    window.history.replaceState({}, '', '/');
     // Open modal and auto-lookup
     openBookModal();
     document.getElementById('isbnInput').value = isbnParam.trim();
@@ -89,19 +153,115 @@ async function loadAndRender() {
   // Load books from Supabase
   await dataStore.loadFromStorage();
   
+  renderCurrentData();
+}
+
+/**
+ * Render whatever is currently in the data store
+ */
+function renderCurrentData() {
   // Apply filters and sort
   applyFiltersAndSort();
   
   // Update genre dropdown
   const genres = dataStore.getUniqueGenres();
   updateGenreFilter(genres);
+
+  // Tag / shelf autocomplete and shelf dropdown
+  const tags = dataStore.getUniqueTags('tags');
+  updateTagOptions(tags, dataStore.getUniqueTags('shelves'));
+  tagFilterInput?.setSuggestions(tags);
+  updateSeriesOptions(dataStore.getUniqueSeries());
+
+  // Yearly goal ring
+  updateGoalRing(getGoalProgress());
+}
+
+/**
+ * Progress towards this year's reading goal, or null if none is set
+ */
+function getGoalProgress() {
+  const goal = dataStore.getGoal(new Date().getFullYear());
+  return goal ? computeGoalProgress(goal, dataStore.sessions) : null;
+}
+
+/**
+ * Toast when a change pushes the year's count past 25/50/75/100% of the goal
+ * @param {Object|null} before - getGoalProgress() from before the change
+ */
+function celebrateGoalMilestone(before) {
+  const after = getGoalProgress();
+  if (!before || !after) return;
+
+  const milestone = milestoneCrossed(before.done, after.done, after.target);
+  if (milestone === null) return;
+
+  const counts = `${after.done} of ${after.target} books`;
+  if (milestone >= 1) {
+    showToast(`🏆 You hit your ${after.year} goal — ${counts}!`, 5000);
+  } else {
+    showToast(`🎉 ${Math.round(milestone * 100)}% of your ${after.year} goal — ${counts}!`, 5000);
+  }
+}
+
+/**
+ * Handle goal ring click — set or change this year's target
+ */
+async function handleGoalClick() {
+  const year = new Date().getFullYear();
+  const current = dataStore.getGoal(year);
+  const answer = window.prompt(
+    `How many books do you want to read in ${year}?`,
+    current ? String(current.target) : ''
+  );
+  if (answer === null) return;
+
+  const target = parseInt(answer, 10);
+  if (!Number.isInteger(target) || target < 1) {
+    showToast('Enter a number of books, e.g. 40');
+    return;
+  }
+
+  try {
+    await dataStore.setGoal(year, target);
+    updateGoalRing(getGoalProgress());
+    showToast(`🎯 Goal set: ${target} books in ${year}`);
+  } catch (error) {
+    console.error('Goal error:', error);
+    showToast(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Handle connectivity coming back — replay queued changes
+ */
+async function handleOnline() {
+  updatePendingIndicator(dataStore.pendingCount, true);
+  if (dataStore.pendingCount === 0) return;
+
+  const { synced, failed } = await dataStore.syncPendingChanges();
+  if (synced > 0) {
+    showToast(`☁️ Synced ${synced} offline change${synced !== 1 ? 's' : ''}`);
+  }
+  if (failed > 0) {
+    showToast(`⚠️ ${failed} offline change${failed !== 1 ? 's' : ''} could not be saved`);
+  }
+  await loadAndRender();
 }
 
 /**
  * Setup all event listeners
  */
 function setupEventListeners() {
+  // Connectivity
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', () => {
+    updatePendingIndicator(dataStore.pendingCount, false);
+  });
+
   // Header actions
+  document.getElementById('accountBtn')?.addEventListener('click', handleSignOut);
+  document.getElementById('goalRing')?.addEventListener('click', handleGoalClick);
   document.getElementById('addBookBtn')?.addEventListener('click', handleAddBook);
   document.getElementById('importBtn')?.addEventListener('click', handleImportClick);
   document.getElementById('exportBtn')?.addEventListener('click', handleExport);
@@ -119,9 +279,20 @@ function setupEventListeners() {
   document.getElementById('fictionFilter')?.addEventListener('change', handleFilterChange);
   document.getElementById('genreFilter')?.addEventListener('change', handleFilterChange);
   document.getElementById('statusFilter')?.addEventListener('change', handleFilterChange);
+  document.getElementById('shelfFilter')?.addEventListener('change', handleFilterChange);
+  document.getElementById('tagFilterMode')?.addEventListener('change', handleFilterChange);
+  tagFilterInput = new ChipInput(document.getElementById('tagFilter'), {
+    placeholder: 'Filter by tag…',
+    onChange: handleFilterChange
+  });
+  tagFilterInput.setSuggestions(dataStore.getUniqueTags('tags'));
   document.getElementById('filterPhysical')?.addEventListener('change', handleFilterChange);
   document.getElementById('filterKindle')?.addEventListener('change', handleFilterChange);
   document.getElementById('filterAudible')?.addEventListener('change', handleFilterChange);
+
+  // Saved views
+  document.getElementById('saveViewBtn')?.addEventListener('click', handleSaveView);
+  document.getElementById('savedViewsList')?.addEventListener('click', handleSavedViewClick);
   
   // Table sorting
   document.querySelectorAll('th.sortable').forEach(th => {
@@ -130,6 +301,17 @@ function setupEventListeners() {
   
   // Table row clicks (open detail)
   document.getElementById('booksTableBody')?.addEventListener('click', handleTableRowClick);
+
+  // Cover grid: same clicks as table rows, plus Enter/Space on a focused cover
+  document.getElementById('booksGrid')?.addEventListener('click', handleTableRowClick);
+  document.getElementById('booksGrid')?.addEventListener('keydown', e => {
+    if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('grid-book')) {
+      e.preventDefault();
+      handleTableRowClick(e);
+    }
+  });
+  document.getElementById('layoutToggle')?.addEventListener('click', handleLayoutToggle);
+  document.getElementById('gridSort')?.addEventListener('change', handleGridSortChange);
   
   // Detail sheet
   document.getElementById('detailClose')?.addEventListener('click', () => closeDetailSheet());
@@ -138,11 +320,14 @@ function setupEventListeners() {
   document.getElementById('amazonCopy')?.addEventListener('click', handleAmazonCopy);
   document.getElementById('editBookBtn')?.addEventListener('click', handleEditBook);
   document.getElementById('deleteBookBtn')?.addEventListener('click', handleDeleteBook);
+  document.getElementById('detailTags')?.addEventListener('click', handleDetailTagClick);
+  document.getElementById('detailAuthor')?.addEventListener('click', handleDetailAuthorClick);
   
   // Book modal
   document.getElementById('bookModalClose')?.addEventListener('click', () => closeBookModal());
   document.getElementById('bookModalBackdrop')?.addEventListener('click', () => closeBookModal());
   document.getElementById('cancelBtn')?.addEventListener('click', () => closeBookModal());
+  document.getElementById('addContributorBtn')?.addEventListener('click', () => addContributorRow());
   document.getElementById('bookForm')?.addEventListener('submit', handleSaveBook);
   
   // ISBN lookup
@@ -159,17 +344,40 @@ function setupEventListeners() {
   
   // Barcode scanning
   document.getElementById('scanBarcodeBtn')?.addEventListener('click', handleBarcodeScanning);
-  
-  // Barcode modal
-  document.getElementById('barcodeModalClose')?.addEventListener('click', () => {
-    stopBarcodeScanner();
-    document.getElementById('barcodeModal').classList.remove('active');
+
+  // Barcodes from a photo: picked from the library, or dropped on the scan section
+  document.getElementById('photoScanBtn')?.addEventListener('click', () => {
+    document.getElementById('photoScanInput')?.click();
+  });
+  document.getElementById('photoScanInput')?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // the same photo can be picked again
+    handlePhotoScan(file);
+  });
+  const scanDropZone = document.getElementById('scanDropZone');
+  scanDropZone?.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    scanDropZone.classList.add('drop-active');
   });
-  document.getElementById('barcodeModalBackdrop')?.addEventListener('click', () => {
-    stopBarcodeScanner();
-    document.getElementById('barcodeModal').classList.remove('active');
+  scanDropZone?.addEventListener('dragleave', (e) => {
+    if (!scanDropZone.contains(e.relatedTarget)) scanDropZone.classList.remove('drop-active');
+  });
+  scanDropZone?.addEventListener('drop', (e) => {
+    e.preventDefault();
+    scanDropZone.classList.remove('drop-active');
+    handlePhotoScan(e.dataTransfer.files[0]);
+  });
+
+  // Batch scanning — the tray replaces the add form until it's reviewed
+  document.getElementById('batchScanBtn')?.addEventListener('click', () => {
+    closeBookModal();
+    openBatchScan();
   });
   
+  // Barcode modal
+  document.getElementById('barcodeModalClose')?.addEventListener('click', closeBarcodeModal);
+  document.getElementById('barcodeModalBackdrop')?.addEventListener('click', closeBarcodeModal);
+  
   // OCR buttons (still placeholders)
   document.getElementById('scanTitleBtn')?.addEventListener('click', () => {
     showToast('Title page scanning coming soon!');
@@ -185,6 +393,8 @@ function setupEventListeners() {
   document.getElementById('bulkRead')?.addEventListener('click', () => handleBulkStatusUpdate('read'));
   document.getElementById('bulkUnread')?.addEventListener('click', () => handleBulkStatusUpdate('unread'));
   document.getElementById('bulkReading')?.addEventListener('click', () => handleBulkStatusUpdate('reading'));
+  document.getElementById('bulkTag')?.addEventListener('click', () => handleBulkAssign('tags'));
+  document.getElementById('bulkShelf')?.addEventListener('click', () => handleBulkAssign('shelves'));
 }
 
 /**
@@ -201,9 +411,159 @@ function applyFiltersAndSort() {
   state.currentBooks = books;
   
   // Render
-  renderBooksTable(books, state.selectMode);
+  renderLibrary(books, state.selectMode);
+  if (state.selectMode) updateBulkToolbar();
   updateCounts(books.length, dataStore.getAllBooks().length);
   updateSortIndicator(state.sort.by, state.sort.ascending);
+  updateUrl();
+}
+
+/**
+ * Render books in the current layout
+ * Cheap to call again: only rows whose book or selection changed re-render.
+ */
+function renderLibrary(books, selectMode) {
+  if (state.layout === 'grid') {
+    renderBooksGrid(books, selectMode, state.selectedIds);
+  } else {
+    renderBooksTable(books, selectMode, state.selectedIds);
+  }
+}
+
+/**
+ * Handle the table / cover grid toggle
+ */
+function handleLayoutToggle() {
+  state.layout = state.layout === 'grid' ? 'table' : 'grid';
+  localStorage.setItem(LAYOUT_KEY, state.layout);
+  setLibraryLayout(state.layout);
+  renderLibrary(state.currentBooks, state.selectMode);
+}
+
+/**
+ * Handle the grid's sort menu ("-rating" = highest first)
+ */
+function handleGridSortChange(e) {
+  const value = e.target.value;
+  state.sort = { by: value.replace(/^-/, ''), ascending: !value.startsWith('-') };
+  applyFiltersAndSort();
+}
+
+/**
+ * Mirror filters and sort into the address bar (replacing, not adding,
+ * a history entry) and highlight the saved view they match, if any
+ */
+function updateUrl() {
+  const query = toQueryString(state.filters, state.sort);
+  const url = query ? `${window.location.pathname}?${query}` : window.location.pathname;
+  if (url !== window.location.pathname + window.location.search) {
+    window.history.replaceState(null, '', url);
+  }
+
+  const active = query ? dataStore.getViews().find(view => view.query === query) : null;
+  renderSavedViews(dataStore.getViews(), active?.id || null);
+}
+
+/**
+ * Point the filter controls at state.filters
+ */
+function syncFilterControls() {
+  setFilterControls(state.filters);
+  tagFilterInput?.setValues(state.filters.tags);
+}
+
+/**
+ * Replace filters and sort wholesale (saved view, or clearing one)
+ */
+function applyQuery(query) {
+  ({ filters: state.filters, sort: state.sort } = fromQueryString(query));
+  state.sortBeforeSearch = null;
+  syncFilterControls();
+  applyFiltersAndSort();
+}
+
+/**
+ * Handle "Save view" — name the current filters and sort
+ */
+async function handleSaveView() {
+  const query = toQueryString(state.filters, state.sort);
+  if (!query) {
+    showToast('Pick some filters or a sort first');
+    return;
+  }
+
+  const current = dataStore.getViews().find(view => view.query === query);
+  const name = window.prompt('Name this view (e.g. "Audible backlog"):', current?.name || '');
+  if (name === null || !name.trim()) return;
+
+  const existing = dataStore.getViewByName(name);
+  if (existing && existing.query !== query && !confirm(`Replace the saved view "${existing.name}"?`)) {
+    return;
+  }
+
+  try {
+    const view = await dataStore.saveView(name, query);
+    updateUrl();
+    showToast(`🔖 Saved view "${view.name}"`);
+  } catch (error) {
+    console.error('Save view error:', error);
+    showToast(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a saved-view chip: apply it (or clear it if it's showing), or delete it
+ */
+async function handleSavedViewClick(e) {
+  const remove = e.target.closest('[data-remove-view-id]');
+  if (remove) {
+    const view = dataStore.getViews().find(v => v.id === remove.dataset.removeViewId);
+    if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+    try {
+      await dataStore.deleteView(view.id);
+      updateUrl();
+    } catch (error) {
+      console.error('Delete view error:', error);
+      showToast(`Error: ${error.message}`);
+    }
+    return;
+  }
+
+  const chip = e.target.closest('[data-view-id]');
+  const view = chip && dataStore.getViews().find(v => v.id === chip.dataset.viewId);
+  if (!view) return;
+
+  const showing = toQueryString(state.filters, state.sort) === view.query;
+  applyQuery(showing ? '' : view.query);
+}
+
+/**
+ * Show who is signed in on the account button
+ */
+function updateAccountButton(email) {
+  const btn = document.getElementById('accountBtn');
+  if (btn) btn.title = `Signed in as ${email} — tap to sign out`;
+}
+
+/**
+ * Handle sign out
+ */
+async function handleSignOut() {
+  if (dataStore.pendingCount > 0) {
+    showToast('Reconnect to sync pending changes before signing out');
+    return;
+  }
+
+  const confirmed = confirm('Sign out of Bookish?');
+  if (!confirmed) return;
+
+  try {
+    await signOut();
+    // onSignedOut reloads the page back to the login screen
+  } catch (error) {
+    console.error('Sign out error:', error);
+    showToast('Failed to sign out');
+  }
 }
 
 /**
@@ -217,7 +577,18 @@ function handleAddBook() {
  * Handle search input change
  */
 function handleSearchChange(e) {
+  const hadQuery = Boolean(state.filters.search.trim());
   state.filters.search = e.target.value;
+  const hasQuery = Boolean(state.filters.search.trim());
+
+  // Best matches first while searching; back to the chosen column after
+  if (hasQuery && !hadQuery && state.sort.by !== 'relevance') {
+    state.sortBeforeSearch = { ...state.sort };
+    state.sort = { by: 'relevance', ascending: true };
+  } else if (!hasQuery && state.sort.by === 'relevance') {
+    state.sort = state.sortBeforeSearch || { by: 'title', ascending: true };
+  }
+
   applyFiltersAndSort();
 }
 
@@ -229,6 +600,11 @@ function handleFilterChange() {
   state.filters.fictionType = document.getElementById('fictionFilter').value;
   state.filters.genre = document.getElementById('genreFilter').value;
   state.filters.status = document.getElementById('statusFilter').value;
+  state.filters.shelf = document.getElementById('shelfFilter').value;
+
+  // Tag filter (AND / OR per the mode dropdown)
+  state.filters.tags = tagFilterInput ? tagFilterInput.getValues() : [];
+  state.filters.tagMode = document.getElementById('tagFilterMode').value;
   
   // Format filters (AND logic)
   state.filters.formats = [];
@@ -266,34 +642,37 @@ function handleSort(e) {
 }
 
 /**
- * Handle table row click (open detail, or toggle selection in select mode)
+ * Handle table row or cover click (open detail, or toggle selection in select mode)
  */
 function handleTableRowClick(e) {
-  const row = e.target.closest('tr');
+  const row = e.target.closest('tr, .grid-book');
   if (!row) return;
 
+  // Author names open the author view (outside select mode)
+  const authorLink = e.target.closest('[data-author]');
+  if (authorLink && !state.selectMode) {
+    openAuthor(authorLink.dataset.author);
+    return;
+  }
+
   const bookId = row.dataset.bookId;
   if (!bookId) return;
 
   if (state.selectMode) {
-    // Toggle selection
+    // Toggle selection — the row re-renders from state.selectedIds
     if (state.selectedIds.has(bookId)) {
       state.selectedIds.delete(bookId);
-      row.classList.remove('selected');
     } else {
       state.selectedIds.add(bookId);
-      row.classList.add('selected');
     }
-    // Sync checkbox
-    const checkbox = row.querySelector('input[type="checkbox"]');
-    if (checkbox) checkbox.checked = state.selectedIds.has(bookId);
+    renderLibrary(state.currentBooks, true);
     updateBulkToolbar();
     return;
   }
 
   const book = dataStore.getBookById(bookId);
   if (book) {
-    openDetailSheet(book);
+    openDetailSheet(book, dataStore.getSessionsForBook(bookId));
   }
 }
 
@@ -347,6 +726,32 @@ function handleEditBook() {
   }
 }
 
+/**
+ * Clicking an author in the detail sheet opens the author view
+ */
+function handleDetailAuthorClick(e) {
+  const link = e.target.closest('[data-author]');
+  if (!link) return;
+  closeDetailSheet();
+  openAuthor(link.dataset.author);
+}
+
+/**
+ * Clicking a tag or shelf chip in the detail sheet filters by it
+ */
+function handleDetailTagClick(e) {
+  const chip = e.target.closest('[data-tag], [data-shelf]');
+  if (!chip) return;
+
+  closeDetailSheet();
+  if (chip.dataset.shelf) {
+    document.getElementById('shelfFilter').value = chip.dataset.shelf;
+  } else if (tagFilterInput) {
+    tagFilterInput.setValues([...tagFilterInput.getValues(), chip.dataset.tag]);
+  }
+  handleFilterChange();
+}
+
 /**
  * Handle delete book
  */
@@ -383,11 +788,12 @@ async function handleSaveBook(e) {
   const bookId = modal?.dataset.bookId;
   
   const formData = getBookFormData();
+  const goalBefore = getGoalProgress();
   
   try {
     if (mode === 'edit' && bookId) {
       // Update existing book
-      await dataStore.updateBook(bookId, formData);
+      await dataStore.patchBook(bookId, formData);
       showToast('Book updated!');
     } else {
       // Add new book
@@ -397,12 +803,25 @@ async function handleSaveBook(e) {
     
     closeBookModal();
     await loadAndRender();
+    celebrateGoalMilestone(goalBefore);
   } catch (error) {
     console.error('Save error:', error);
     showToast(`Error: ${error.message}`);
   }
 }
 
+/**
+ * Close the scanner, single or batch (batch asks before discarding its tray)
+ */
+function closeBarcodeModal() {
+  if (isBatchScanOpen()) {
+    closeBatchScan();
+    return;
+  }
+  stopBarcodeScanner();
+  document.getElementById('barcodeModal').classList.remove('active');
+}
+
 /**
  * Handle barcode scanning
  */
@@ -416,86 +835,9 @@ function handleBarcodeScanning() {
   startBarcodeScanner(
     'barcodeScannerContainer',
     async (isbns) => {
-      // Multiple barcodes detected - try each one
       stopBarcodeScanner();
       modal.classList.remove('active');
-
-      showToast(`📷 Found ${isbns.length} barcode(s)! Trying each...`);
-
-      // Try each ISBN until we find one that works
-      for (let i = 0; i < isbns.length; i++) {
-        const isbn = isbns[i];
-        console.log(`Trying ISBN ${i + 1}/${isbns.length}: ${isbn}`);
-
-        const bookData = await lookupISBN(isbn);
-
-        if (bookData) {
-          // Check for duplicate before opening the form
-          const allBooks = dataStore.getAllBooks();
-          const existing = allBooks.find(b =>
-            b.title.toLowerCase() === bookData.title.toLowerCase() &&
-            b.author.toLowerCase() === bookData.author.toLowerCase()
-          );
-
-          if (existing) {
-            const existingFormats = existing.formats.join(', ');
-            const alreadyPhysical = existing.formats.includes('physical');
-
-            if (alreadyPhysical) {
-              // Already have it as physical — just ask if they want a second copy
-              const addAnother = confirm(
-                `You already have "${bookData.title}" as a physical book.\n\nAdd it again as a second copy?`
-              );
-              if (!addAnother) return;
-              // Fall through to open the form as a new entry
-            } else {
-              // Have it in another format — offer to add physical to existing record
-              const addFormat = confirm(
-                `You already have "${bookData.title}" (${existingFormats}).\n\nAdd Physical format to the existing record?`
-              );
-              if (addFormat) {
-                const updatedFormats = [...existing.formats, 'physical'];
-                try {
-                  await dataStore.updateBook(existing.id, {
-                    title: existing.title,
-                    author: existing.author,
-                    status: existing.status,
-                    genre: existing.genre,
-                    fictionType: existing.fiction_type,
-                    difficulty: existing.difficulty,
-                    formats: updatedFormats,
-                    notes: existing.notes,
-                    isbn: existing.isbn,
-                    publicationDate: existing.publication_date,
-                    acquiredDate: existing.acquired_date,
-                    coverUrl: existing.cover_url
-                  });
-                  showToast(`✅ Added Physical format to "${existing.title}"`);
-                  await loadAndRender();
-                } catch (err) {
-                  console.error('Failed to update formats:', err);
-                  showToast('Failed to update book formats.');
-                }
-                return;
-              }
-              // User said no — fall through to open the form as a new entry
-            }
-          }
-
-          // No duplicate (or user chose to add anyway) — open form
-          const classification = autoClassifyGenre(bookData.categories);
-          openBookModal();
-          autofillBookForm(bookData, classification, true);
-          showToast(`✅ Book found: ${bookData.title}`);
-          return; // Stop trying other ISBNs
-        }
-      }
-
-      // None of the ISBNs worked — open blank form with ISBN pre-filled and Physical checked
-      showToast(`❌ Tried ${isbns.length} barcode(s) but couldn't find book. Add manually.`);
-      openBookModal();
-      document.getElementById('bookISBN').value = isbns[0];
-      document.getElementById('formatPhysical').checked = true;
+      await handleScannedISBNs(isbns);
     },
     (error) => {
       stopBarcodeScanner();
@@ -504,6 +846,111 @@ function handleBarcodeScanning() {
     }
   );
 }
+
+/**
+ * Look up barcodes read from one book (camera or photo): the first ISBN
+ * that's found opens the add form, after a duplicate check
+ * @param {string[]} isbns - candidate ISBNs, tried in order
+ */
+async function handleScannedISBNs(isbns) {
+  showToast(`📷 Found ${isbns.length} barcode(s)! Trying each...`);
+
+  try {
+    // Try each ISBN until we find one that works
+    for (let i = 0; i < isbns.length; i++) {
+      const isbn = isbns[i];
+      console.log(`Trying ISBN ${i + 1}/${isbns.length}: ${isbn}`);
+
+      const bookData = await lookupISBN(isbn);
+
+      if (bookData) {
+        // Check for duplicate (same ISBN, or same title and a shared contributor)
+        const existing = findExisting(bookData, dataStore.getAllBooks());
+
+        if (existing) {
+          const existingFormats = existing.formats.join(', ');
+          const alreadyPhysical = existing.formats.includes('physical');
+
+          if (alreadyPhysical) {
+            // Already have it as physical — just ask if they want a second copy
+            const addAnother = confirm(
+              `You already have "${bookData.title}" as a physical book.\n\nAdd it again as a second copy?`
+            );
+            if (!addAnother) return;
+            // Fall through to open the form as a new entry
+          } else {
+            // Have it in another format — offer to add physical to existing record
+            const addFormat = confirm(
+              `You already have "${bookData.title}" (${existingFormats}).\n\nAdd Physical format to the existing record?`
+            );
+            if (addFormat) {
+              const updatedFormats = [...existing.formats, 'physical'];
+              try {
+                await dataStore.patchBook(existing.id, { formats: updatedFormats });
+                showToast(`✅ Added Physical format to "${existing.title}"`);
+                await loadAndRender();
+              } catch (err) {
+                console.error('Failed to update formats:', err);
+                showToast('Failed to update book formats.');
+              }
+              return;
+            }
+            // User said no — fall through to open the form as a new entry
+          }
+        }
+
+        // No duplicate (or user chose to add anyway) — open form
+        const classification = autoClassifyGenre(bookData.categories);
+        openBookModal();
+        autofillBookForm(bookData, classification, true);
+        showToast(`✅ Book found: ${bookData.title}`);
+        return; // Stop trying other ISBNs
+      }
+    }
+  } catch (error) {
+    console.error('Barcode lookup error:', error);
+    showToast('❌ Lookup failed. Please try again or add manually.');
+    return;
+  }
+
+  // None of the ISBNs worked — open blank form with ISBN pre-filled and Physical checked
+  showToast(`❌ Tried ${isbns.length} barcode(s) but couldn't find book. Add manually.`);
+  openBookModal();
+  document.getElementById('bookISBN').value = isbns[0];
+  document.getElementById('formatPhysical').checked = true;
+}
+
+/**
+ * Read barcodes from a photo or image file — for desktops and PWA
+ * contexts without a working camera stream. One ISBN goes through the
+ * same flow as a live scan; several (a shelf photo) go to batch review.
+ */
+async function handlePhotoScan(file) {
+  if (!file || !file.type.startsWith('image/')) {
+    showToast('Choose an image file (a photo of the barcode)');
+    return;
+  }
+
+  showToast('🖼️ Reading barcodes…');
+  let isbns;
+  try {
+    isbns = await decodeImageBarcodes(file);
+  } catch (error) {
+    console.error('Photo scan error:', error);
+    showToast('❌ Couldn\'t read that image.');
+    return;
+  }
+
+  if (isbns.length === 0) {
+    showToast('No ISBN barcodes found — try a sharper photo, closer to the barcode');
+  } else if (isbns.length === 1) {
+    await handleScannedISBNs(isbns);
+  } else {
+    closeBookModal();
+    await reviewScannedISBNs(isbns);
+  }
+}
+
 /**
  * Handle paste from clipboard and immediately run ISBN lookup
  */
@@ -582,14 +1029,10 @@ async function handleISBNLookup() {
 }
 
 /**
- * Handle export
+ * Handle export — pick a format and the whole library or current view
  */
 function handleExport() {
-  const books = dataStore.exportBooks();
-  const filename = getExportFilename();
-  
-  downloadJSON(books, filename);
-  showToast(`📤 Exported ${books.length} books!`);
+  openExportDialog();
 }
 
 /**
@@ -611,23 +1054,13 @@ async function handleImportFile(e) {
   
   const reader = new FileReader();
   
-  reader.onload = async (event) => {
+  reader.onload = (event) => {
     try {
-      const result = parseImportedJSON(event.target.result);
-      
-      if (!result.success) {
-        showToast(`Import failed: ${result.error}`);
-        return;
+      // Every format goes through the preview screen; the adapter is
+      // picked from the file's headers / shape
+      if (!importFileText(event.target.result)) {
+        showToast(`Import failed: unrecognised file — expected ${getSupportedFormats().join(', ')}`);
       }
-      
-      const importResult = await dataStore.importBooks(result.data);
-      
-      showToast(
-        `✅ Imported ${importResult.imported} books! ` +
-        `(${importResult.skipped} duplicates skipped)`
-      );
-      
-      await loadAndRender();
     } catch (error) {
       console.error('Import error:', error);
       showToast(`Import failed: ${error.message}`);
@@ -649,7 +1082,7 @@ function handleEnterSelectMode() {
   document.getElementById('bulkToolbar').classList.remove('hidden');
   updateBulkToolbar();
   // Re-render table so checkboxes appear
-  renderBooksTable(state.currentBooks, true);
+  renderLibrary(state.currentBooks, true);
 }
 
 /**
@@ -660,32 +1093,22 @@ function handleExitSelectMode() {
   state.selectedIds.clear();
   document.getElementById('bulkToolbar').classList.add('hidden');
   // Re-render without checkboxes
-  renderBooksTable(state.currentBooks, false);
+  renderLibrary(state.currentBooks, false);
 }
 
 /**
  * Select all currently visible books
  */
 function handleSelectAll() {
-  const allSelected = state.selectedIds.size === state.currentBooks.length;
-  if (allSelected) {
-    // Deselect all
-    state.selectedIds.clear();
+  if (allVisibleSelected()) {
+    // Deselect all visible
+    state.currentBooks.forEach(b => state.selectedIds.delete(b.id));
   } else {
     // Select all visible
     state.currentBooks.forEach(b => state.selectedIds.add(b.id));
   }
-  // Re-render to sync checkboxes and row highlights
-  renderBooksTable(state.currentBooks, true);
-  // Restore selected highlights
-  state.selectedIds.forEach(id => {
-    const row = document.querySelector(`tr[data-book-id="${id}"]`);
-    if (row) {
-      row.classList.add('selected');
-      const cb = row.querySelector('input[type="checkbox"]');
-      if (cb) cb.checked = true;
-    }
-  });
+  // Visible rows whose selection changed re-render
+  renderLibrary(state.currentBooks, true);
   updateBulkToolbar();
 }
 
@@ -697,7 +1120,15 @@ function updateBulkToolbar() {
   document.getElementById('bulkCount').textContent =
     count === 0 ? 'None selected' : `${count} selected`;
   document.getElementById('bulkSelectAll').textContent =
-    count === state.currentBooks.length ? 'Deselect All' : 'Select All';
+    allVisibleSelected() ? 'Deselect All' : 'Select All';
+}
+
+/**
+ * True when every book currently shown is selected
+ */
+function allVisibleSelected() {
+  return state.currentBooks.length > 0 &&
+    state.currentBooks.every(book => state.selectedIds.has(book.id));
 }
 
 /**
@@ -713,6 +1144,48 @@ async function handleBulkStatusUpdate(newStatus) {
   const confirmed = confirm(`Mark ${count} book${count !== 1 ? 's' : ''} as "${newStatus}"?`);
   if (!confirmed) return;
 
+  let successCount = 0;
+  let errorCount = 0;
+  const goalBefore = getGoalProgress();
+
+  for (const id of state.selectedIds) {
+    if (!dataStore.getBookById(id)) continue;
+    try {
+      await dataStore.patchBook(id, { status: newStatus });
+      successCount++;
+    } catch (err) {
+      console.error('Failed to update book:', id, err);
+      errorCount++;
+    }
+  }
+
+  if (errorCount > 0) {
+    showToast(`Updated ${successCount}, failed ${errorCount}`);
+  } else {
+    showToast(`✅ Marked ${successCount} book${successCount !== 1 ? 's' : ''} as "${newStatus}"`);
+  }
+
+  handleExitSelectMode();
+  await loadAndRender();
+  celebrateGoalMilestone(goalBefore);
+}
+
+/**
+ * Add tags or shelves to all selected books
+ * @param {string} field - 'tags' or 'shelves'
+ */
+async function handleBulkAssign(field) {
+  if (state.selectedIds.size === 0) {
+    showToast('No books selected');
+    return;
+  }
+
+  const count = state.selectedIds.size;
+  const noun = field === 'shelves' ? 'shelf' : 'tag';
+  const input = prompt(`Add ${count} book${count !== 1 ? 's' : ''} to which ${noun}? (separate several with commas)`);
+  const names = normalizeTags(input || '');
+  if (names.length === 0) return;
+
   let successCount = 0;
   let errorCount = 0;
 
@@ -720,20 +1193,7 @@ async function handleBulkStatusUpdate(newStatus) {
     const book = dataStore.getBookById(id);
     if (!book) continue;
     try {
-      await dataStore.updateBook(id, {
-        title: book.title,
-        author: book.author,
-        status: newStatus,
-        genre: book.genre,
-        fictionType: book.fiction_type,
-        difficulty: book.difficulty,
-        formats: book.formats,
-        notes: book.notes,
-        isbn: book.isbn,
-        publicationDate: book.publication_date,
-        acquiredDate: book.acquired_date,
-        coverUrl: book.cover_url
-      });
+      await dataStore.patchBook(id, { [field]: normalizeTags([...book[field], ...names]) });
       successCount++;
     } catch (err) {
       console.error('Failed to update book:', id, err);
@@ -744,7 +1204,7 @@ async function handleBulkStatusUpdate(newStatus) {
   if (errorCount > 0) {
     showToast(`Updated ${successCount}, failed ${errorCount}`);
   } else {
-    showToast(`✅ Marked ${successCount} book${successCount !== 1 ? 's' : ''} as "${newStatus}"`);
+    showToast(`✅ Added ${successCount} book${successCount !== 1 ? 's' : ''} to ${names.join(', ')}`);
   }
 
   handleExitSelectMode();
@@ -0,0 +1,194 @@
+/**
+ * BOOKISH LIBRARY - AUTH MODULE
+ * Supabase Auth sign-in (email/password or magic link) and the login screen
+ */
+
+import { supabase } from './supabase.js';
+
+const LAST_USER_KEY = 'bookish_last_user';
+
+// ── DOM helpers ───────────────────────────────────────────────────────────────
+const $ = id => document.getElementById(id);
+
+/**
+ * Get the signed-in user, or null
+ * When offline with an expired token, falls back to the last user seen on
+ * this device so the cached library still opens.
+ */
+export async function getSignedInUser() {
+  try {
+    const { data, error } = await supabase.auth.getSession();
+    if (error) throw error;
+
+    const user = data.session?.user || null;
+    if (user) {
+      localStorage.setItem(LAST_USER_KEY, JSON.stringify({ id: user.id, email: user.email }));
+    }
+    if (user || navigator.onLine) return user;
+  } catch (error) {
+    console.error('Failed to read auth session:', error);
+  }
+
+  if (!navigator.onLine) {
+    try {
+      return JSON.parse(localStorage.getItem(LAST_USER_KEY)) || null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve with the signed-in user, showing the login screen until there is one
+ */
+export async function requireUser() {
+  const user = await getSignedInUser();
+  if (user) return user;
+
+  showLoginScreen();
+
+  return new Promise(resolve => {
+    const { data } = supabase.auth.onAuthStateChange((event, session) => {
+      if (event === 'SIGNED_IN' && session?.user) {
+        data.subscription.unsubscribe();
+        localStorage.setItem(
+          LAST_USER_KEY,
+          JSON.stringify({ id: session.user.id, email: session.user.email })
+        );
+        hideLoginScreen();
+        resolve(session.user);
+      }
+    });
+  });
+}
+
+/**
+ * Sign out and forget the cached user
+ */
+export async function signOut() {
+  localStorage.removeItem(LAST_USER_KEY);
+  const { error } = await supabase.auth.signOut();
+  if (error) throw error;
+}
+
+/**
+ * Call back when the session ends (sign-out here or in another tab)
+ */
+export function onSignedOut(callback) {
+  supabase.auth.onAuthStateChange(event => {
+    if (event === 'SIGNED_OUT') callback();
+  });
+}
+
+// ── Login screen ──────────────────────────────────────────────────────────────
+let loginWired = false;
+
+function showLoginScreen() {
+  $('app')?.classList.add('hidden');
+  $('authScreen')?.classList.remove('hidden');
+
+  if (!loginWired) {
+    loginWired = true;
+    $('authForm')?.addEventListener('submit', handlePasswordSignIn);
+    $('authMagicLinkBtn')?.addEventListener('click', handleMagicLink);
+    $('authSignUpBtn')?.addEventListener('click', handleSignUp);
+  }
+
+  $('authEmail')?.focus();
+}
+
+function hideLoginScreen() {
+  $('authScreen')?.classList.add('hidden');
+  $('app')?.classList.remove('hidden');
+  setAuthMessage('');
+}
+
+function setAuthMessage(message, isError = false) {
+  const el = $('authMessage');
+  if (!el) return;
+  el.textContent = message;
+  el.classList.toggle('auth-message-error', isError);
+}
+
+function setAuthBusy(busy) {
+  document.querySelectorAll('#authForm button').forEach(btn => {
+    btn.disabled = busy;
+  });
+}
+
+function readCredentials() {
+  return {
+    email: ($('authEmail')?.value || '').trim(),
+    password: $('authPassword')?.value || ''
+  };
+}
+
+async function handlePasswordSignIn(e) {
+  e.preventDefault();
+  const { email, password } = readCredentials();
+
+  if (!email || !password) {
+    setAuthMessage('Enter your email and password, or use a magic link.', true);
+    return;
+  }
+
+  setAuthBusy(true);
+  setAuthMessage('Signing in…');
+  try {
+    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    // requireUser() resolves via onAuthStateChange
+  } catch (error) {
+    setAuthMessage(error.message, true);
+  } finally {
+    setAuthBusy(false);
+  }
+}
+
+async function handleMagicLink() {
+  const { email } = readCredentials();
+  if (!email) {
+    setAuthMessage('Enter your email first.', true);
+    return;
+  }
+
+  setAuthBusy(true);
+  try {
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: window.location.origin }
+    });
+    if (error) throw error;
+    setAuthMessage(`✉️ Check ${email} for a sign-in link.`);
+  } catch (error) {
+    setAuthMessage(error.message, true);
+  } finally {
+    setAuthBusy(false);
+  }
+}
+
+async function handleSignUp() {
+  const { email, password } = readCredentials();
+  if (!email || password.length < 6) {
+    setAuthMessage('Enter an email and a password of at least 6 characters.', true);
+    return;
+  }
+
+  setAuthBusy(true);
+  try {
+    const { data, error } = await supabase.auth.signUp({
+      email,
+      password,
+      options: { emailRedirectTo: window.location.origin }
+    });
+    if (error) throw error;
+    if (!data.session) {
+      setAuthMessage(`✉️ Check ${email} to confirm your account.`);
+    }
+  } catch (error) {
+    setAuthMessage(error.message, true);
+  } finally {
+    setAuthBusy(false);
+  }
+}
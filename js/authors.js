@@ -0,0 +1,181 @@
+/**
+ * Bookish — Author view
+ * Bottom sheet with everything in the library by one person (as author,
+ * translator, editor…), grouped by status, with their average rating and
+ * format counts. Names are matched by authorKey(), so "Le Guin, Ursula K."
+ * and "Ursula K. Le Guin" are the same author.
+ */
+
+import { dataStore } from './data.js';
+import { authorKey } from './book.js';
+import { discoverWithPrompt } from './discover.js';
+import { escapeHtml } from './utils.js';
+
+// ── DOM helpers ───────────────────────────────────────────────────────────────
+const $ = id => document.getElementById(id);
+
+// ── Computation ───────────────────────────────────────────────────────────────
+
+/**
+ * Every book a person contributed to, with their role on it
+ * @returns {Array} [{ book, role }]
+ */
+export function getAuthorBooks(books, name) {
+  const key = authorKey(name);
+  const entries = [];
+
+  books.forEach(book => {
+    const contributor = book.contributors.find(c => authorKey(c.name) === key);
+    if (contributor) entries.push({ book, role: contributor.role, name: contributor.name });
+  });
+
+  return entries;
+}
+
+/**
+ * Figures for the author view
+ * @param {Array} entries - output of getAuthorBooks()
+ */
+export function computeAuthorStats(entries) {
+  // Prefer a "First Last" spelling for the heading
+  const spellings = entries.map(entry => entry.name);
+  const name = spellings.find(s => !s.includes(',')) || spellings[0] || '';
+
+  const byStatus = ['reading', 'unread', 'read'].map(status => ({
+    status,
+    entries: entries
+      .filter(entry => entry.book.status === status)
+      .sort((a, b) => a.book.title.localeCompare(b.book.title))
+  }));
+
+  const rated = entries.filter(entry => entry.book.rating);
+  const averageRating = rated.length
+    ? Math.round(rated.reduce((sum, entry) => sum + entry.book.rating, 0) / rated.length * 10) / 10
+    : null;
+
+  const formats = [
+    { label: '📕 Physical', value: entries.filter(e => e.book.formats.includes('physical')).length },
+    { label: '📱 Kindle', value: entries.filter(e => e.book.formats.includes('kindle')).length },
+    { label: '🎧 Audible', value: entries.filter(e => e.book.formats.includes('audible')).length }
+  ];
+
+  return { name, total: entries.length, byStatus, averageRating, ratedCount: rated.length, formats };
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+const STATUS_HEADINGS = {
+  reading: '📖 Reading',
+  unread: '📚 Unread',
+  read: '✓ Read'
+};
+
+function renderEntry({ book, role }) {
+  const details = [
+    role !== 'author' ? role : '',
+    book.rating ? `★ ${book.rating}` : ''
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <li>
+      <button type="button" class="author-book" data-book-id="${escapeHtml(book.id)}">
+        <span class="author-book-title">${escapeHtml(book.title)}</span>
+        ${details ? `<span class="author-book-details">${escapeHtml(details)}</span>` : ''}
+      </button>
+    </li>
+  `;
+}
+
+function renderAuthor(stats) {
+  const tiles = [
+    { value: stats.total, label: `book${stats.total !== 1 ? 's' : ''} in your library` },
+    {
+      value: stats.averageRating === null ? '—' : `★ ${stats.averageRating}`,
+      label: stats.ratedCount ? `average of ${stats.ratedCount} rated` : 'not rated yet'
+    }
+  ];
+
+  const groups = stats.byStatus
+    .filter(group => group.entries.length > 0)
+    .map(group => `
+      <section class="stats-section">
+        <h3>${STATUS_HEADINGS[group.status]} (${group.entries.length})</h3>
+        <ul class="author-books">${group.entries.map(renderEntry).join('')}</ul>
+      </section>
+    `).join('');
+
+  const formats = stats.formats
+    .filter(format => format.value > 0)
+    .map(format => `<span class="format-badge">${format.label} ${format.value}</span>`)
+    .join(' ');
+
+  return `
+    <div class="stats-tiles">
+      ${tiles.map(t => `
+        <div class="stats-tile">
+          <span class="stats-tile-value">${t.value}</span>
+          <span class="stats-tile-label">${t.label}</span>
+        </div>
+      `).join('')}
+    </div>
+    ${formats ? `<p class="author-formats">${formats}</p>` : ''}
+    ${groups}
+    <button type="button" class="discover-email-btn" id="authorDiscoverBtn">✦ Discover more by this author</button>
+  `;
+}
+
+// ── Open / close ──────────────────────────────────────────────────────────────
+let currentAuthor = '';
+let onSelectBook = null;
+
+/**
+ * Open the author view for any spelling of a name
+ */
+export function openAuthor(name) {
+  const stats = computeAuthorStats(getAuthorBooks(dataStore.getAllBooks(), name));
+  currentAuthor = stats.name || name;
+
+  $('authorTitle').textContent = currentAuthor;
+  $('authorBody').innerHTML = renderAuthor(stats);
+  $('authorBackdrop').classList.add('open');
+  $('authorSheet').classList.add('open');
+}
+
+export function closeAuthor() {
+  $('authorBackdrop').classList.remove('open');
+  $('authorSheet').classList.remove('open');
+}
+
+function discoverMore() {
+  const author = currentAuthor;
+  closeAuthor();
+  discoverWithPrompt(`More books by ${author} that I don't have yet`, { author });
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+/**
+ * @param {Object} options - { onSelectBook } called with a book when one is tapped
+ */
+export function initAuthors(options = {}) {
+  onSelectBook = options.onSelectBook || null;
+
+  $('authorBackdrop')?.addEventListener('click', closeAuthor);
+  $('authorClose')?.addEventListener('click', closeAuthor);
+
+  $('authorBody')?.addEventListener('click', e => {
+    if (e.target.closest('#authorDiscoverBtn')) {
+      discoverMore();
+      return;
+    }
+
+    const item = e.target.closest('[data-book-id]');
+    const book = item && dataStore.getBookById(item.dataset.bookId);
+    if (!book || !onSelectBook) return;
+    closeAuthor();
+    onSelectBook(book);
+  });
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && $('authorSheet')?.classList.contains('open')) closeAuthor();
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * BOOKISH LIBRARY - BACKUP FORMAT
+ * The versioned JSON envelope written by Export and read by Restore,
+ * plus migrations that bring older backups up to the current version.
+ *
+ * Versions:
+ *   1 — a bare array of book rows (snake_case bookslist rows, or the
+ *       camelCase objects from before the Supabase move)
+ *   2 — { app, schemaVersion, exportedAt, books, sessions, goals, views }
+ *       with every table as Supabase rows (views — saved_views rows —
+ *       came later, so older v2 backups have none)
+ */
+
+import { COLUMNS, toRow } from './book.js';
+
+export const BACKUP_SCHEMA_VERSION = 2;
+
+const BACKUP_APP = 'bookish';
+
+/**
+ * Build a backup envelope from table rows
+ * @param {Object} tables - { books, sessions, goals, views } as Supabase rows
+ */
+export function createBackup({ books = [], sessions = [], goals = [], views = [] }) {
+  return {
+    app: BACKUP_APP,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    books,
+    sessions,
+    goals,
+    views
+  };
+}
+
+/**
+ * A v1 row: a bookslist row or pre-Supabase book object — an id, a title
+ * and at least one other book column, so any other JSON array of objects
+ * isn't taken for a backup
+ */
+function isV1BookRow(row) {
+  if (!row || typeof row !== 'object' || !row.id || !row.title) return false;
+  return Object.entries(COLUMNS).some(([field, column]) =>
+    field !== 'id' && field !== 'title' && (field in row || column in row)
+  );
+}
+
+/**
+ * True for anything Restore understands (any version)
+ */
+export function isBackup(data) {
+  if (Array.isArray(data)) {
+    return data.length > 0 && data.every(isV1BookRow);
+  }
+  return Boolean(
+    data && data.app === BACKUP_APP && Number.isInteger(data.schemaVersion) &&
+    (data.views === undefined || Array.isArray(data.views))
+  );
+}
+
+/**
+ * A saved_views row Restore can use: a name and a query string
+ */
+function isViewRow(row) {
+  return Boolean(row && typeof row.name === 'string' && row.name.trim() &&
+    typeof row.query === 'string');
+}
+
+/**
+ * Version of a backup — a bare array predates the envelope
+ */
+function getVersion(data) {
+  return Array.isArray(data) ? 1 : data.schemaVersion;
+}
+
+/**
+ * camelCase book objects (pre-Supabase) become bookslist rows;
+ * snake_case rows pass through
+ */
+function toBookRow(book) {
+  const isCamelCase = Object.entries(COLUMNS)
+    .some(([field, column]) => field !== column && field in book);
+  return isCamelCase ? toRow(book) : book;
+}
+
+// Each step takes version N and returns version N + 1
+const MIGRATIONS = {
+  1: books => ({
+    app: BACKUP_APP,
+    schemaVersion: 2,
+    exportedAt: '',
+    books: books.map(toBookRow),
+    sessions: [],
+    goals: [],
+    views: []
+  })
+};
+
+/**
+ * Bring a backup of any supported version up to BACKUP_SCHEMA_VERSION
+ * @throws {Error} if the backup is unrecognised or from a newer app
+ */
+export function migrateBackup(data) {
+  if (!isBackup(data)) {
+    throw new Error('Not a Bookish backup');
+  }
+
+  let backup = data;
+  let version = getVersion(data);
+
+  if (version > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`This backup was made by a newer version of Bookish (format ${version})`);
+  }
+
+  while (version < BACKUP_SCHEMA_VERSION) {
+    backup = MIGRATIONS[version](backup);
+    version = backup.schemaVersion;
+  }
+
+  return {
+    ...backup,
+    books: backup.books || [],
+    sessions: backup.sessions || [],
+    goals: backup.goals || [],
+    views: (backup.views || []).filter(isViewRow)
+  };
+}
+
+/**
+ * Parse file contents as a backup
+ * @returns {Object|null} the migrated backup, or null if it isn't one
+ */
+export function readBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  return isBackup(data) ? migrateBackup(data) : null;
+}
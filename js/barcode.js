@@ -1,20 +1,53 @@
 /**
  * BOOKISH LIBRARY - BARCODE SCANNER
  * Client-side barcode detection with visual feedback and tap-to-focus
+ *
+ * Single mode stops at the first valid ISBN; continuous mode (batch
+ * scanning a shelf) keeps the camera running and reports each new ISBN
+ * once, however many times it passes in front of the lens. Still images
+ * (a photo from the library, or a dropped file) are decoded without a
+ * camera, for desktops and PWA contexts where the live stream fails.
  */
 
-let detectedBarcodes = new Set();
+import { parseISBN, toISBN13 } from './isbn.js';
+
+let detectedBarcodes = new Set(); // continuous mode keys by ISBN-13, so both forms count once
 let detectionTimer = null;
 let videoElement = null;
 let scanLocked = false; // prevents processing after first valid ISBN
+let continuousMode = false;
+
+// Longest side, in pixels, a still image is decoded at — the locator
+// misses barcodes that are very small or very large at any one scale
+const IMAGE_SIZES = [800, 1600];
+const IMAGE_TIMEOUT_MS = 15000;
+
+/**
+ * Reject noisy/low-quality reads: average bar error above 0.25
+ */
+function isConfident(result) {
+  const decodedCodes = result.codeResult.decodedCodes;
+  if (!decodedCodes || decodedCodes.length === 0) return true;
+
+  const errors = decodedCodes
+    .filter(d => d.error !== undefined)
+    .map(d => d.error);
+  if (errors.length === 0) return true;
+
+  const avgError = errors.reduce((a, b) => a + b, 0) / errors.length;
+  return avgError <= 0.25;
+}
 
 /**
  * Start barcode scanner with multi-barcode detection
+ * @param {Object} options - { continuous } keeps scanning after each ISBN
+ *   and calls onDetected([isbn]) for every new one
  */
-export function startBarcodeScanner(containerId, onDetected, onError) {
+export function startBarcodeScanner(containerId, onDetected, onError, { continuous = false } = {}) {
   // Reset detection state
   detectedBarcodes.clear();
   scanLocked = false;
+  continuousMode = continuous;
   if (detectionTimer) {
     clearTimeout(detectionTimer);
   }
@@ -55,7 +88,7 @@ export function startBarcodeScanner(containerId, onDetected, onError) {
   }, function(err) {
     if (err) {
       console.error('Quagga init error:', err);
-      onError('Failed to start camera. Please check permissions.');
+      onError('Failed to start camera. Check permissions, or scan from a photo instead.');
       return;
     }
     
@@ -71,7 +104,9 @@ export function startBarcodeScanner(containerId, onDetected, onError) {
     }
     
     // Update status
-    updateStatus('📷 Scanning... Tap screen to focus');
+    updateStatus(continuous
+      ? '📷 Scan each book in turn... Tap screen to focus'
+      : '📷 Scanning... Tap screen to focus');
   });
 
   // Listen for barcode detections
@@ -79,20 +114,8 @@ export function startBarcodeScanner(containerId, onDetected, onError) {
     // If we already locked in a valid ISBN, ignore further detections
     if (scanLocked) return;
 
-    // Confidence check — reject noisy/low-quality reads
-    const decodedCodes = result.codeResult.decodedCodes;
-    if (decodedCodes && decodedCodes.length > 0) {
-      const errors = decodedCodes
-        .filter(d => d.error !== undefined)
-        .map(d => d.error);
-      if (errors.length > 0) {
-        const avgError = errors.reduce((a, b) => a + b, 0) / errors.length;
-        if (avgError > 0.25) {
-          // Low confidence — silently ignore (no flash)
-          return;
-        }
-      }
-    }
+    // Low confidence — silently ignore (no flash)
+    if (!isConfident(result)) return;
 
     const code = result.codeResult.code;
     console.log("Barcode detected (high confidence):", code);
@@ -100,8 +123,19 @@ export function startBarcodeScanner(containerId, onDetected, onError) {
     // Remove any hyphens/spaces
     const cleanCode = code.replace(/[-\s]/g, '');
 
-    // Only accept valid ISBN lengths (10 or 13 digits)
-    if (cleanCode.length === 10 || cleanCode.length === 13) {
+    // Only accept real ISBNs (978/979 prefix, matching check digit) —
+    // not other products' EANs or a misread
+    const isbn = parseISBN(cleanCode);
+    if (isbn && continuousMode) {
+      // Already in the tray — the camera sees each book many times
+      if (detectedBarcodes.has(isbn.isbn13)) return;
+
+      detectedBarcodes.add(isbn.isbn13);
+      flashBarcodeDetection(true);
+      updateStatus(`✅ ${cleanCode} — ${detectedBarcodes.size} scanned, keep going`, 'success');
+      onDetected([cleanCode]);
+
+    } else if (isbn) {
       console.log("✅ Valid ISBN detected:", cleanCode);
 
       // Lock scanning — stop accepting new detections
@@ -125,13 +159,82 @@ export function startBarcodeScanner(containerId, onDetected, onError) {
       }, 1500);
 
     } else {
-      console.log("Invalid ISBN length, ignoring:", cleanCode);
+      console.log("Not a valid ISBN, ignoring:", cleanCode);
       // Flash yellow for invalid barcode (but don't spam — throttle)
       flashBarcodeDetection(false);
     }
   });
 }
 
+/**
+ * Decode one still image at one scale
+ * @returns {Promise<Array|null>} Quagga results that have a code, or null
+ *   if it timed out (never rejects)
+ */
+function decodeStill(src, size) {
+  return new Promise(resolve => {
+    // A bad image can leave Quagga without calling back — null means it
+    // may still be working on this one
+    const timer = setTimeout(() => resolve(null), IMAGE_TIMEOUT_MS);
+    const done = result => {
+      clearTimeout(timer);
+      const results = Array.isArray(result) ? result : [result];
+      resolve(results.filter(r => r?.codeResult?.code));
+    };
+
+    try {
+      Quagga.decodeSingle({
+        src,
+        numOfWorkers: 0,
+        locate: true,
+        inputStream: { size },
+        locator: { patchSize: 'medium', halfSample: size > 1000 },
+        // ISBNs are always EAN-13; `multiple` finds every barcode in a shelf photo
+        decoder: { readers: ['ean_reader'], multiple: true }
+      }, done);
+    } catch (err) {
+      console.error('Quagga decodeSingle error:', err);
+      done(null);
+    }
+  });
+}
+
+/**
+ * Find the ISBN barcodes in a photo or image file
+ * @param {File|Blob} file
+ * @returns {Promise<string[]>} distinct ISBNs in the order found ([] if none)
+ */
+export async function decodeImageBarcodes(file) {
+  const src = URL.createObjectURL(file);
+  const found = new Map(); // ISBN-13 → code as read
+
+  try {
+    for (const size of IMAGE_SIZES) {
+      const results = await decodeStill(src, size);
+      // Quagga decodes one image at a time; don't start another on a hung decode
+      if (!results) break;
+      results.forEach(result => {
+        if (!isConfident(result)) return;
+        const code = result.codeResult.code.replace(/[-\s]/g, '');
+        const isbn = parseISBN(code);
+        if (isbn && !found.has(isbn.isbn13)) found.set(isbn.isbn13, code);
+      });
+    }
+  } finally {
+    URL.revokeObjectURL(src);
+  }
+
+  return Array.from(found.values());
+}
+
+/**
+ * Let an ISBN be scanned again in continuous mode (e.g. after it was
+ * removed from the batch tray)
+ */
+export function forgetScannedISBN(isbn) {
+  detectedBarcodes.delete(toISBN13(isbn));
+}
+
 /**
  * Setup tap-to-focus on video element
  */
@@ -217,6 +320,7 @@ export function stopBarcodeScanner() {
   }
   detectedBarcodes.clear();
   scanLocked = false;
+  continuousMode = false;
   videoElement = null;
   Quagga.offDetected();
   Quagga.stop();
@@ -0,0 +1,250 @@
+/**
+ * Bookish — Batch barcode scanning
+ * Catalogue a shelf in one go: the camera stays open, every new ISBN is
+ * added to a tray and looked up in the background, and when you're done
+ * the books found go through the import preview (add / merge / skip,
+ * duplicates flagged) as physical copies. A shelf photo with several
+ * barcodes takes the same route (reviewScannedISBNs).
+ */
+
+import { lookupISBN, autoClassifyGenre } from './api.js';
+import { applyDefaults } from './book.js';
+import { startBarcodeScanner, stopBarcodeScanner, forgetScannedISBN } from './barcode.js';
+import { renderCover } from './covers.js';
+import { dataStore } from './data.js';
+import { findExisting, openImportPreview } from './importer.js';
+import { toISBN13 } from './isbn.js';
+import { escapeHtml, showToast } from './utils.js';
+
+// ── DOM helpers ───────────────────────────────────────────────────────────────
+const $ = id => document.getElementById(id);
+
+// ── State ─────────────────────────────────────────────────────────────────────
+// [{ isbn, isbn13, status: 'looking' | 'found' | 'missing' | 'failed', book, existing }]
+let entries = [];
+let active = false;
+// Lookups run one at a time, in scan order, to stay clear of rate limits
+let lookupQueue = Promise.resolve();
+
+export function isBatchScanOpen() {
+  return active;
+}
+
+// ── Lookups ───────────────────────────────────────────────────────────────────
+
+/**
+ * A lookup result as a new physical book, genre guessed from its categories
+ */
+function toScannedBook(bookData, isbn) {
+  const classification = autoClassifyGenre(bookData.categories) || {};
+  return applyDefaults({
+    ...bookData,
+    isbn: bookData.isbn || isbn,
+    genre: classification.genre,
+    fictionType: classification.fictionType,
+    formats: ['physical']
+  });
+}
+
+async function lookUp(entry) {
+  try {
+    const bookData = await lookupISBN(entry.isbn);
+    if (bookData) {
+      entry.book = toScannedBook(bookData, entry.isbn);
+      entry.existing = findExisting(entry.book, dataStore.getAllBooks());
+      entry.status = 'found';
+    } else {
+      entry.status = 'missing';
+    }
+  } catch (error) {
+    console.error('Batch lookup failed:', entry.isbn, error);
+    entry.status = 'failed';
+  }
+  // (It may have been removed from the tray, or the scan closed, meanwhile)
+  if (active && entries.includes(entry)) renderTray();
+}
+
+function queueLookup(entry) {
+  lookupQueue = lookupQueue.then(() => (entries.includes(entry) ? lookUp(entry) : null));
+}
+
+function createEntry(isbn) {
+  return { isbn, isbn13: toISBN13(isbn), status: 'looking', book: null, existing: null };
+}
+
+function addScanned(isbn) {
+  const entry = createEntry(isbn);
+  if (entries.some(other => other.isbn13 === entry.isbn13)) return;
+
+  entries.unshift(entry);
+  renderTray();
+  queueLookup(entry);
+}
+
+// ── Tray ──────────────────────────────────────────────────────────────────────
+
+const STATUS_TEXT = {
+  looking: '🔍 Looking up…',
+  missing: '❌ Not found — add by hand',
+  failed: '⚠️ Lookup failed — tap to retry'
+};
+
+function renderEntry(entry, index) {
+  if (entry.status !== 'found') {
+    return `
+      <li class="batch-item batch-item-${entry.status}">
+        <div class="batch-cover batch-cover-empty"></div>
+        <div class="batch-info">
+          <span class="batch-title">${escapeHtml(entry.isbn)}</span>
+          <button type="button" class="batch-status" data-retry="${index}" ${entry.status === 'failed' ? '' : 'disabled'}>
+            ${STATUS_TEXT[entry.status]}
+          </button>
+        </div>
+        <button type="button" class="batch-remove" data-remove="${index}" aria-label="Remove">×</button>
+      </li>
+    `;
+  }
+
+  const { book, existing } = entry;
+  const note = existing
+    ? `<span class="batch-match">In library${existing.formats.includes('physical') ? ' (physical)' : ''}</span>`
+    : '';
+  return `
+    <li class="batch-item">
+      <div class="batch-cover">${renderCover(book, { size: 'small' })}</div>
+      <div class="batch-info">
+        <span class="batch-title">${escapeHtml(book.title)}</span>
+        <span class="batch-author">${escapeHtml(book.author)}</span>
+        ${note}
+      </div>
+      <button type="button" class="batch-remove" data-remove="${index}" aria-label="Remove">×</button>
+    </li>
+  `;
+}
+
+function renderTray() {
+  const found = entries.filter(entry => entry.status === 'found').length;
+  const looking = entries.filter(entry => entry.status === 'looking').length;
+
+  const parts = [`${entries.length} scanned`, `${found} found`];
+  if (looking) parts.push(`${looking} looking up`);
+  $('batchSummary').textContent = entries.length ? parts.join(' · ') : 'Nothing scanned yet';
+
+  $('batchList').innerHTML = entries.map(renderEntry).join('');
+
+  const btn = $('batchReviewBtn');
+  btn.disabled = found === 0;
+  btn.textContent = found ? `Review & Add ${found}` : 'Review & Add';
+}
+
+function removeEntry(index) {
+  const [entry] = entries.splice(index, 1);
+  if (entry) forgetScannedISBN(entry.isbn);
+  renderTray();
+}
+
+function retryEntry(index) {
+  const entry = entries[index];
+  if (!entry || entry.status !== 'failed') return;
+  entry.status = 'looking';
+  renderTray();
+  queueLookup(entry);
+}
+
+// ── Open / close ──────────────────────────────────────────────────────────────
+
+export function openBatchScan() {
+  entries = [];
+  active = true;
+
+  $('barcodeModalTitle').textContent = '📚 Scan a Shelf';
+  $('batchTray').classList.remove('hidden');
+  renderTray();
+  $('barcodeModal').classList.add('active');
+
+  startBarcodeScanner(
+    'barcodeScannerContainer',
+    isbns => isbns.forEach(addScanned),
+    error => {
+      closeBatchScan({ force: true });
+      showToast(error);
+    },
+    { continuous: true }
+  );
+}
+
+/**
+ * Stop scanning and close; asks first if found books would be thrown away
+ * @returns {boolean} false if the user chose to keep scanning
+ */
+export function closeBatchScan({ force = false } = {}) {
+  const found = entries.filter(entry => entry.status === 'found').length;
+  if (!force && found > 0 && !confirm(`Discard ${found} scanned book${found !== 1 ? 's' : ''}?`)) {
+    return false;
+  }
+
+  stopBarcodeScanner();
+  active = false;
+  entries = [];
+  $('barcodeModal').classList.remove('active');
+  $('batchTray').classList.add('hidden');
+  $('barcodeModalTitle').textContent = '📷 Scan Barcode';
+  return true;
+}
+
+/**
+ * Hand the found books to the import preview; ISBNs nobody knew are
+ * listed so they can be added by hand
+ */
+function openReview(scanned) {
+  const found = scanned.filter(entry => entry.status === 'found');
+  const unresolved = scanned
+    .filter(entry => entry.status !== 'found')
+    .map(entry => entry.isbn);
+
+  if (found.length > 0) {
+    openImportPreview(found.map(entry => ({ book: entry.book, finishedAt: '' })), 'barcode scan');
+  }
+  if (unresolved.length) {
+    showToast(`Not added: ${unresolved.join(', ')} — add these by hand`, 6000);
+  }
+}
+
+function reviewBatch() {
+  const scanned = entries;
+  if (!scanned.some(entry => entry.status === 'found')) return;
+
+  closeBatchScan({ force: true });
+  openReview(scanned);
+}
+
+/**
+ * Look up ISBNs found some other way (e.g. several barcodes in one
+ * photo) and review them like a batch scan
+ */
+export async function reviewScannedISBNs(isbns) {
+  const scanned = isbns.map(createEntry);
+  showToast(`🔍 Looking up ${scanned.length} books…`);
+
+  for (const entry of scanned) {
+    await lookUp(entry);
+  }
+  openReview(scanned);
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+
+export function initBatchScan() {
+  $('batchReviewBtn')?.addEventListener('click', reviewBatch);
+  $('batchDoneBtn')?.addEventListener('click', () => closeBatchScan());
+
+  $('batchList')?.addEventListener('click', e => {
+    const remove = e.target.closest('[data-remove]');
+    if (remove) {
+      removeEntry(Number(remove.dataset.remove));
+      return;
+    }
+    const retry = e.target.closest('[data-retry]');
+    if (retry) retryEntry(Number(retry.dataset.retry));
+  });
+}
@@ -0,0 +1,405 @@
+/**
+ * BOOKISH LIBRARY - BOOK MODEL
+ * The canonical (camelCase) book shape used throughout the app, and the
+ * one place that maps it to Supabase rows (snake_case) and the edit form
+ */
+
+import { toISBN13 } from './isbn.js';
+
+/**
+ * Canonical field → bookslist column
+ */
+export const COLUMNS = {
+  id: 'id',
+  userId: 'user_id',
+  title: 'title',
+  author: 'author',
+  contributors: 'contributors',
+  status: 'status',
+  genre: 'genre',
+  fictionType: 'fiction_type',
+  difficulty: 'difficulty',
+  formats: 'formats',
+  tags: 'tags',
+  shelves: 'shelves',
+  series: 'series',
+  seriesPosition: 'series_position',
+  notes: 'notes',
+  rating: 'rating',
+  review: 'review',
+  isbn: 'isbn',
+  isbn13: 'isbn13',
+  publicationDate: 'publication_date',
+  acquiredDate: 'acquired_date',
+  coverUrl: 'cover_url',
+  addedAt: 'added_at'
+};
+
+/**
+ * Fields the user can edit (everything except identity and timestamps)
+ */
+export const EDITABLE_FIELDS = [
+  'title',
+  'author',
+  'contributors',
+  'status',
+  'genre',
+  'fictionType',
+  'difficulty',
+  'formats',
+  'tags',
+  'shelves',
+  'series',
+  'seriesPosition',
+  'notes',
+  'rating',
+  'review',
+  'isbn',
+  'publicationDate',
+  'acquiredDate',
+  'coverUrl'
+];
+
+/**
+ * Values used when imported data leaves a field out
+ */
+export const BOOK_DEFAULTS = {
+  title: 'Untitled',
+  author: 'Unknown Author',
+  contributors: [],
+  status: 'unread',
+  genre: 'Uncategorized',
+  fictionType: 'Nonfiction',
+  difficulty: 'Moderate',
+  formats: ['physical'],
+  tags: [],
+  shelves: [],
+  series: '',
+  seriesPosition: null,
+  notes: '',
+  rating: null,
+  review: '',
+  isbn: '',
+  publicationDate: '',
+  acquiredDate: '',
+  coverUrl: ''
+};
+
+// Fields stored as text[] columns
+const LIST_FIELDS = ['formats', 'tags', 'shelves'];
+
+/**
+ * Clean a list of tags or shelf names: trimmed, inner whitespace
+ * collapsed, empty and case-insensitive duplicates dropped
+ * @param {Array|string} values - an array, or a comma-separated string
+ */
+export function normalizeTags(values) {
+  const list = Array.isArray(values) ? values : String(values ?? '').split(',');
+  const seen = new Set();
+  const tags = [];
+
+  list.forEach(value => {
+    const tag = String(value ?? '').replace(/\s+/g, ' ').trim();
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return;
+    seen.add(key);
+    tags.push(tag);
+  });
+
+  return tags;
+}
+
+/**
+ * Contributor roles; authors come first, the rest follow in list order
+ */
+export const CONTRIBUTOR_ROLES = ['author', 'translator', 'editor', 'illustrator', 'narrator', 'contributor'];
+
+/**
+ * Map a role as written by other apps ("Translator", "Narrator (Audible)",
+ * "Co-author") onto CONTRIBUTOR_ROLES
+ */
+export function normalizeRole(role) {
+  const lower = String(role ?? '').toLowerCase().trim();
+  if (!lower || lower.includes('author') || lower.includes('writer')) return 'author';
+  if (lower.includes('translat')) return 'translator';
+  if (lower.includes('edit')) return 'editor';
+  if (lower.includes('illustrat') || lower.includes('artist')) return 'illustrator';
+  if (lower.includes('narrat') || lower.includes('reader')) return 'narrator';
+  return 'contributor';
+}
+
+/**
+ * Clean a contributor list: [{ name, role }], names trimmed, roles mapped,
+ * empty names and repeats (same name and role) dropped, order kept
+ */
+export function normalizeContributors(list) {
+  const seen = new Set();
+  const contributors = [];
+
+  (Array.isArray(list) ? list : []).forEach(entry => {
+    const name = String(entry?.name ?? '').replace(/\s+/g, ' ').trim();
+    const role = normalizeRole(entry?.role);
+    const key = `${name.toLowerCase()}|${role}`;
+    if (!name || seen.has(key)) return;
+    seen.add(key);
+    contributors.push({ name, role });
+  });
+
+  return contributors;
+}
+
+// Name suffixes that follow a comma without meaning "Last, First"
+const NAME_SUFFIXES = /^(jr|sr|ii|iii|iv|phd|md)\.?$/i;
+
+// Words that start a surname ("Le Guin", "van Gogh") rather than a name
+const SURNAME_PARTICLES = /^(le|la|de|del|della|des|di|da|du|van|von|der|den|ten|ter|st\.?|mac|mc)$/i;
+
+/**
+ * One comma: "Le Guin, Ursula K." (one name, surname first) or
+ * "Neil Gaiman, Terry Pratchett" (two)? Surname first when the left side
+ * looks like a surname — one word, or led by a particle — or the right
+ * like given names: one word, or ending in an initial.
+ */
+function isLastFirst(left, right) {
+  const surname = left.split(/\s+/);
+  const given = right.split(/\s+/);
+  return surname.length === 1 || SURNAME_PARTICLES.test(surname[0]) ||
+    given.length === 1 || /^[A-Z]\.?$/.test(given[given.length - 1]);
+}
+
+/**
+ * Names in one part of an author list: "Dahl, Roald" and "King, Jr."
+ * stay whole, other commas separate names
+ */
+function splitNamePart(part) {
+  const sides = part.split(',').map(s => s.trim()).filter(Boolean);
+  if (sides.length === 2 && (NAME_SUFFIXES.test(sides[1]) || isLastFirst(sides[0], sides[1]))) {
+    return [sides.join(', ')];
+  }
+  return sides;
+}
+
+/**
+ * "A & B", "A, B & C", "A and B" or "A; B" → names
+ * Parts are split on ;, & and "and" first, so "Le Guin, Ursula K. & Someone"
+ * is two names — see splitNamePart() for what a comma means.
+ */
+export function parseAuthors(text) {
+  return String(text ?? '')
+    .split(/\s*[;&]\s*|\s+and\s+/)
+    .flatMap(splitNamePart)
+    .filter(Boolean);
+}
+
+/**
+ * ["A", "B", "C"] → "A, B & C"
+ */
+export function formatNames(names) {
+  if (names.length <= 1) return names[0] || '';
+  return `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+}
+
+/**
+ * The contributor list for a book, kept in step with its author text:
+ * when `author` no longer matches the listed authors (it was edited, or
+ * the book predates contributors) the authors are re-read from it
+ */
+function resolveContributors(data) {
+  const contributors = normalizeContributors(data.contributors);
+  const authorText = String(data.author ?? '').trim();
+  const authors = contributors.filter(c => c.role === 'author').map(c => c.name);
+
+  if (!authorText || formatNames(authors) === authorText) {
+    return [...contributors.filter(c => c.role === 'author'), ...contributors.filter(c => c.role !== 'author')];
+  }
+
+  return [
+    ...parseAuthors(authorText).map(name => ({ name, role: 'author' })),
+    ...contributors.filter(c => c.role !== 'author')
+  ];
+}
+
+/**
+ * Identity key for a person, so spellings of one name compare equal:
+ * "Le Guin, Ursula K." and "Ursula K. Le Guin" → "ursula k le guin";
+ * accents are folded ("García Márquez" = "Garcia Marquez")
+ */
+export function authorKey(name) {
+  const value = String(name ?? '').trim();
+  const parts = value.split(',').map(s => s.trim());
+  const natural = parts.length === 2 && parts[1] && !NAME_SUFFIXES.test(parts[1])
+    ? `${parts[1]} ${parts[0]}`
+    : value;
+
+  return natural
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Every contributor name on a book, lower-cased (for search and duplicate checks)
+ */
+export function getContributorNames(book) {
+  const names = resolveContributors(book).map(c => c.name.toLowerCase());
+  return names.length ? names : [String(book.author ?? '').toLowerCase().trim()];
+}
+
+/**
+ * A star rating rounded to the nearest half star (0.5–5), or null if unrated
+ */
+export function normalizeRating(value) {
+  const rating = parseFloat(value);
+  if (!(rating > 0)) return null;
+  return Math.min(5, Math.max(0.5, Math.round(rating * 2) / 2));
+}
+
+/**
+ * A volume number in a series (0 for prequels, 2.5 for novellas), or null
+ */
+export function normalizeSeriesPosition(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const position = Number(value);
+  return Number.isFinite(position) && position >= 0 ? position : null;
+}
+
+/**
+ * Split a series description into name and volume:
+ * "The Expanse #3", "The Expanse, Book 3", "Discworld; Vol. 12", "Dune ; 2",
+ * and library-catalogue forms like "Discworld -- 5" or "Dune ; bk. 2"
+ * @returns {Object} { series, seriesPosition }
+ */
+export function parseSeries(text) {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+  const marker = '(?:#|\\bbook\\s+|\\bbk\\.?\\s*|\\bvol(?:ume)?\\.?\\s*)';
+  const match = value.match(new RegExp(`^(.*?)(?:\\s*(?:[,;]|--)\\s*${marker}?|\\s*${marker})(\\d+(?:\\.\\d+)?)$`, 'i'));
+  if (match && match[1]) {
+    return { series: match[1].trim(), seriesPosition: normalizeSeriesPosition(match[2]) };
+  }
+  return { series: value, seriesPosition: null };
+}
+
+/**
+ * "The Expanse #3" (or just the name when the position is unknown)
+ */
+export function formatSeries(book) {
+  if (!book.series) return '';
+  return book.seriesPosition !== null && book.seriesPosition !== undefined
+    ? `${book.series} #${book.seriesPosition}`
+    : book.series;
+}
+
+/**
+ * Goodreads-style titles carry the series in brackets:
+ * "Leviathan Wakes (The Expanse, #1)" → title, series and position
+ * Only the first of several series ("Discworld, #1; Rincewind, #1") is kept.
+ * @returns {Object} { title, series, seriesPosition } — series is '' if none
+ */
+export function splitSeriesFromTitle(title) {
+  const value = String(title ?? '').trim();
+  const match = value.match(/^(.*\S)\s*\(([^()]*#[^()]*)\)$/);
+  const parsed = match && parseSeries(match[2].split(';')[0]);
+  if (!parsed || parsed.seriesPosition === null) {
+    return { title: value, series: '', seriesPosition: null };
+  }
+  return { title: match[1], ...parsed };
+}
+
+/**
+ * Trim strings and fill optional fields so every book has the same shape
+ * Required fields are left as given — validateBook() reports them.
+ */
+export function normalizeBook(data) {
+  const contributors = resolveContributors(data);
+  const authors = contributors.filter(c => c.role === 'author').map(c => c.name);
+
+  return {
+    title: data.title?.trim() || '',
+    author: formatNames(authors) || data.author?.trim() || '',
+    contributors,
+    status: data.status || '',
+    genre: data.genre || '',
+    fictionType: data.fictionType || '',
+    difficulty: data.difficulty || '',
+    formats: Array.isArray(data.formats) ? [...data.formats] : [],
+    tags: normalizeTags(data.tags || []),
+    shelves: normalizeTags(data.shelves || []),
+    series: data.series?.trim() || '',
+    seriesPosition: normalizeSeriesPosition(data.seriesPosition),
+    notes: data.notes?.trim() || '',
+    rating: normalizeRating(data.rating),
+    review: data.review?.trim() || '',
+    isbn: data.isbn?.trim() || '',
+    isbn13: toISBN13(data.isbn),
+    publicationDate: data.publicationDate || '',
+    acquiredDate: data.acquiredDate || '',
+    coverUrl: data.coverUrl?.trim() || ''
+  };
+}
+
+/**
+ * Fill missing fields with BOOK_DEFAULTS (used by imports)
+ */
+export function applyDefaults(data) {
+  const book = { ...BOOK_DEFAULTS };
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+      book[field] = data[field];
+    }
+  });
+  return book;
+}
+
+/**
+ * Convert a bookslist row into a canonical book
+ */
+export function fromRow(row) {
+  const book = {};
+  Object.entries(COLUMNS).forEach(([field, column]) => {
+    book[field] = row[column] ?? (LIST_FIELDS.includes(field) ? [] : '');
+  });
+  book.rating = normalizeRating(book.rating);
+  book.seriesPosition = normalizeSeriesPosition(book.seriesPosition);
+  book.contributors = resolveContributors(book);
+  // Rows saved before isbn13 existed
+  book.isbn13 = book.isbn13 || toISBN13(book.isbn);
+  return book;
+}
+
+/**
+ * Convert a canonical book into a bookslist row
+ * isbn13 is always derived from isbn, so the two can't drift apart.
+ */
+export function toRow(book) {
+  const row = {};
+  Object.entries(COLUMNS).forEach(([field, column]) => {
+    if (book[field] !== undefined) row[column] = book[field];
+  });
+  if (book.isbn !== undefined) row.isbn13 = toISBN13(book.isbn);
+  return row;
+}
+
+/**
+ * Values for the add/edit form
+ */
+export function toFormData(book) {
+  const formData = {};
+  EDITABLE_FIELDS.forEach(field => {
+    formData[field] = LIST_FIELDS.includes(field) ? [...(book[field] || [])] : (book[field] ?? '');
+  });
+  formData.contributors = (book.contributors || []).map(c => ({ ...c }));
+  return formData;
+}
+
+/**
+ * Keep only editable fields from a partial change set
+ */
+export function pickEditable(changes) {
+  const picked = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) picked[field] = changes[field];
+  });
+  return picked;
+}
@@ -0,0 +1,156 @@
+/**
+ * BOOKISH LIBRARY - LOCAL CACHE (INDEXEDDB)
+ * Keeps an offline copy of Supabase rows and a queue of writes that
+ * still need to reach the server.
+ */
+
+const DB_VERSION = 1;
+const ROWS_STORE = 'rows';
+const QUEUE_STORE = 'queue';
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB-backed cache
+ * Rows are stored per table as { key: `${table}:${id}`, table, row }.
+ * Queue entries are auto-incremented so they replay in the order they were made.
+ */
+export class LocalCache {
+  constructor(name) {
+    this.name = name;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.name, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ROWS_STORE)) {
+          const rows = db.createObjectStore(ROWS_STORE, { keyPath: 'key' });
+          rows.createIndex('table', 'table');
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run fn inside a transaction and resolve once it commits
+   */
+  async transaction(storeNames, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      Promise.resolve(fn(tx)).then(value => { result = value; }, reject);
+    });
+  }
+
+  /**
+   * Get all cached rows for a table
+   */
+  async getRows(table) {
+    return this.transaction([ROWS_STORE], 'readonly', async tx => {
+      const index = tx.objectStore(ROWS_STORE).index('table');
+      const entries = await promisify(index.getAll(table));
+      return entries.map(entry => entry.row);
+    });
+  }
+
+  /**
+   * Replace every cached row of a table with a fresh server copy
+   */
+  async replaceRows(table, rows) {
+    return this.transaction([ROWS_STORE], 'readwrite', async tx => {
+      const store = tx.objectStore(ROWS_STORE);
+      const keys = await promisify(store.index('table').getAllKeys(table));
+      keys.forEach(key => store.delete(key));
+      rows.forEach(row => store.put({ key: `${table}:${row.id}`, table, row }));
+    });
+  }
+
+  /**
+   * Insert or replace one cached row
+   */
+  async putRow(table, row) {
+    return this.transaction([ROWS_STORE], 'readwrite', tx => {
+      tx.objectStore(ROWS_STORE).put({ key: `${table}:${row.id}`, table, row });
+    });
+  }
+
+  /**
+   * Remove one cached row
+   */
+  async deleteRow(table, id) {
+    return this.transaction([ROWS_STORE], 'readwrite', tx => {
+      tx.objectStore(ROWS_STORE).delete(`${table}:${id}`);
+    });
+  }
+
+  /**
+   * Append a pending write to the queue
+   * @param {Object} op - { table, type: 'insert'|'update'|'delete', id, row }
+   */
+  async enqueue(op) {
+    return this.transaction([QUEUE_STORE], 'readwrite', tx => {
+      tx.objectStore(QUEUE_STORE).add({ ...op, queuedAt: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * Get all pending writes, oldest first
+   */
+  async getQueue() {
+    return this.transaction([QUEUE_STORE], 'readonly', tx =>
+      promisify(tx.objectStore(QUEUE_STORE).getAll())
+    );
+  }
+
+  /**
+   * Replace a queued write in place (used when coalescing edits)
+   */
+  async updateQueued(entry) {
+    return this.transaction([QUEUE_STORE], 'readwrite', tx => {
+      tx.objectStore(QUEUE_STORE).put(entry);
+    });
+  }
+
+  /**
+   * Remove a queued write once it has been applied
+   */
+  async dequeue(seq) {
+    return this.transaction([QUEUE_STORE], 'readwrite', tx => {
+      tx.objectStore(QUEUE_STORE).delete(seq);
+    });
+  }
+}
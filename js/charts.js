@@ -0,0 +1,141 @@
+/**
+ * BOOKISH LIBRARY - SVG CHARTS
+ * Tiny dependency-free chart builders. Each returns an SVG string so the
+ * charts render offline with no charting CDN.
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Warm palette matching the app's brown theme
+export const CHART_COLORS = [
+  '#7b4b2a', '#b0723c', '#d9a066', '#8a9a5b', '#5b7f95',
+  '#a05a6b', '#c9b18a', '#6b4b32', '#e3c39d', '#4f6d4f'
+];
+
+/**
+ * Vertical bar chart (e.g. books per month)
+ * @param {Array} data - [{ label, value }]
+ */
+export function columnChart(data, { height = 140, barGap = 4 } = {}) {
+  if (data.length === 0) return '';
+
+  const width = 320;
+  const labelSpace = 18;
+  const valueSpace = 14;
+  const plotHeight = height - labelSpace - valueSpace;
+  const max = Math.max(1, ...data.map(d => d.value));
+  const slot = width / data.length;
+  const barWidth = Math.max(2, slot - barGap);
+
+  const bars = data.map((d, i) => {
+    const barHeight = (d.value / max) * plotHeight;
+    const x = i * slot + barGap / 2;
+    const y = valueSpace + plotHeight - barHeight;
+    return `
+      <g>
+        <title>${escapeHtml(d.label)}: ${d.value}</title>
+        <rect class="chart-bar" x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="2" />
+        ${d.value > 0 ? `<text class="chart-value" x="${x + barWidth / 2}" y="${y - 3}" text-anchor="middle">${d.value}</text>` : ''}
+        <text class="chart-label" x="${x + barWidth / 2}" y="${height - 4}" text-anchor="middle">${escapeHtml(d.label)}</text>
+      </g>
+    `;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${bars}</svg>`;
+}
+
+/**
+ * Horizontal bar chart (e.g. genre distribution)
+ * @param {Array} data - [{ label, value }]
+ */
+export function barChart(data, { rowHeight = 22 } = {}) {
+  if (data.length === 0) return '';
+
+  const width = 320;
+  const labelWidth = 120;
+  const valueWidth = 30;
+  const plotWidth = width - labelWidth - valueWidth;
+  const height = data.length * rowHeight;
+  const max = Math.max(1, ...data.map(d => d.value));
+
+  const rows = data.map((d, i) => {
+    const y = i * rowHeight;
+    const barWidth = (d.value / max) * plotWidth;
+    return `
+      <g>
+        <title>${escapeHtml(d.label)}: ${d.value}</title>
+        <text class="chart-label" x="${labelWidth - 6}" y="${y + rowHeight / 2 + 4}" text-anchor="end">${escapeHtml(d.label)}</text>
+        <rect class="chart-bar" x="${labelWidth}" y="${y + 3}" width="${barWidth}" height="${rowHeight - 6}" rx="2" />
+        <text class="chart-value" x="${labelWidth + barWidth + 4}" y="${y + rowHeight / 2 + 4}">${d.value}</text>
+      </g>
+    `;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${rows}</svg>`;
+}
+
+/**
+ * Donut chart with a legend (e.g. fiction/nonfiction split)
+ * @param {Array} data - [{ label, value }]
+ */
+export function donutChart(data, { size = 120, thickness = 22 } = {}) {
+  const total = data.reduce((sum, d) => sum + d.value, 0);
+  if (total === 0) return '';
+
+  const radius = (size - thickness) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const center = size / 2;
+  let offset = 0;
+
+  const segments = data.map((d, i) => {
+    const length = (d.value / total) * circumference;
+    const segment = `
+      <circle cx="${center}" cy="${center}" r="${radius}" fill="none"
+        stroke="${CHART_COLORS[i % CHART_COLORS.length]}" stroke-width="${thickness}"
+        stroke-dasharray="${length} ${circumference - length}"
+        stroke-dashoffset="${-offset}"
+        transform="rotate(-90 ${center} ${center})">
+        <title>${escapeHtml(d.label)}: ${d.value}</title>
+      </circle>
+    `;
+    offset += length;
+    return segment;
+  }).join('');
+
+  const legend = data.map((d, i) => `
+    <li>
+      <span class="chart-swatch" style="background:${CHART_COLORS[i % CHART_COLORS.length]}"></span>
+      ${escapeHtml(d.label)} <strong>${d.value}</strong>
+      <span class="chart-percent">${Math.round((d.value / total) * 100)}%</span>
+    </li>
+  `).join('');
+
+  return `
+    <div class="chart-donut">
+      <svg class="chart" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}" role="img">${segments}</svg>
+      <ul class="chart-legend">${legend}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Circular progress ring (e.g. yearly goal)
+ * @param {number} fraction - 0..1 (values above 1 draw a full ring)
+ */
+export function progressRing(fraction, { size = 32, thickness = 4 } = {}) {
+  const radius = (size - thickness) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const center = size / 2;
+  const length = Math.min(1, Math.max(0, fraction)) * circumference;
+
+  return `
+    <svg class="progress-ring" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}" aria-hidden="true">
+      <circle class="progress-ring-track" cx="${center}" cy="${center}" r="${radius}"
+        fill="none" stroke-width="${thickness}" />
+      <circle class="progress-ring-fill" cx="${center}" cy="${center}" r="${radius}"
+        fill="none" stroke-width="${thickness}" ${length > 0 ? 'stroke-linecap="round"' : ''}
+        stroke-dasharray="${length} ${circumference}"
+        transform="rotate(-90 ${center} ${center})" />
+    </svg>
+  `;
+}
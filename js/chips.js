@@ -0,0 +1,117 @@
+/**
+ * BOOKISH LIBRARY - CHIP INPUT
+ * A text box that turns entries into removable chips, with autocomplete
+ * from a <datalist>. Used for tags and shelves in the book form and for
+ * the tag filter.
+ */
+
+import { normalizeTags } from './book.js';
+import { escapeHtml } from './utils.js';
+
+export class ChipInput {
+  /**
+   * @param {HTMLElement} container - element to render into (needs an id)
+   * @param {Object} options - { placeholder, onChange } — onChange is
+   *   called with the values after the user adds or removes a chip
+   */
+  constructor(container, { placeholder = '', onChange = null } = {}) {
+    this.container = container;
+    this.values = [];
+    this.onChange = onChange;
+
+    const listId = `${container.id}Suggestions`;
+    container.classList.add('chip-input');
+    container.innerHTML = `
+      <span class="chip-list"></span>
+      <input type="text" id="${container.id}Input" class="chip-input-field" list="${listId}"
+        placeholder="${escapeHtml(placeholder)}" autocomplete="off" />
+      <datalist id="${listId}"></datalist>
+    `;
+
+    this.list = container.querySelector('.chip-list');
+    this.input = container.querySelector('.chip-input-field');
+    this.datalist = container.querySelector('datalist');
+
+    this.input.addEventListener('keydown', e => this.handleKeydown(e));
+    this.input.addEventListener('input', e => {
+      // Picking a datalist suggestion isn't a keystroke — add it straight away
+      const picked = !(e instanceof InputEvent) || e.inputType === 'insertReplacementText';
+      if (picked || this.input.value.includes(',')) this.commitInput();
+    });
+    this.input.addEventListener('blur', () => this.commitInput());
+
+    this.list.addEventListener('click', e => {
+      const button = e.target.closest('.chip-remove');
+      if (button) this.removeAt(Number(button.dataset.index));
+    });
+    container.addEventListener('click', e => {
+      if (e.target === container) this.input.focus();
+    });
+  }
+
+  handleKeydown(e) {
+    if (e.key === 'Enter' || e.key === ',') {
+      // Enter would otherwise submit the surrounding form
+      e.preventDefault();
+      this.commitInput();
+    } else if (e.key === 'Backspace' && this.input.value === '' && this.values.length > 0) {
+      this.removeAt(this.values.length - 1);
+    }
+  }
+
+  /**
+   * Turn whatever has been typed into chips
+   */
+  commitInput() {
+    const added = normalizeTags(this.input.value);
+    this.input.value = '';
+    if (added.length === 0) return;
+
+    const before = this.values.length;
+    this.setValues([...this.values, ...added]);
+    if (this.values.length !== before) this.changed();
+  }
+
+  removeAt(index) {
+    this.values.splice(index, 1);
+    this.render();
+    this.changed();
+  }
+
+  changed() {
+    if (this.onChange) this.onChange(this.getValues());
+  }
+
+  /**
+   * Current chips, plus anything typed but not yet committed
+   */
+  getValues() {
+    return normalizeTags([...this.values, ...this.input.value.split(',')]);
+  }
+
+  /**
+   * Replace the chips (does not call onChange)
+   */
+  setValues(values) {
+    this.values = normalizeTags(values || []);
+    this.render();
+  }
+
+  /**
+   * Replace the autocomplete options
+   */
+  setSuggestions(suggestions) {
+    this.datalist.innerHTML = suggestions
+      .map(value => `<option value="${escapeHtml(value)}"></option>`)
+      .join('');
+  }
+
+  render() {
+    this.list.innerHTML = this.values.map((value, i) => `
+      <span class="chip">
+        ${escapeHtml(value)}
+        <button type="button" class="chip-remove" data-index="${i}" aria-label="Remove ${escapeHtml(value)}">×</button>
+      </span>
+    `).join('');
+  }
+}
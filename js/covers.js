@@ -0,0 +1,73 @@
+/**
+ * BOOKISH LIBRARY - COVERS
+ * Book covers for the grid, detail sheet and Discover cards. Every cover
+ * starts as a generated tile — title and author on a colour picked from
+ * the title, so a book always gets the same one — and the real image
+ * (lazy-loaded) is laid over it when there is one. If the image fails to
+ * load it is removed and the tile shows through.
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * A stable hue for a book: same title and author, same colour
+ */
+export function coverHue(book) {
+  const text = `${book.title || ''}|${book.author || ''}`.toLowerCase();
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % 360;
+}
+
+/**
+ * Only http(s) URLs are used as images; anything else gets the tile
+ */
+function safeCoverUrl(url) {
+  const value = String(url ?? '').trim();
+  return /^https?:\/\//i.test(value) ? value.replace(/^http:/i, 'https:') : '';
+}
+
+/**
+ * Cover markup for a book (or a Discover recommendation)
+ * @param {Object} book - needs title and author; coverUrl is optional
+ * @param {Object} options - { size: 'small' | 'medium' | 'large', eager }
+ *   eager loads the image straight away (e.g. the detail sheet)
+ */
+export function renderCover(book, { size = 'medium', eager = false } = {}) {
+  const url = safeCoverUrl(book.coverUrl);
+  const image = url
+    ? `<img class="cover-image" src="${escapeHtml(url)}" alt="" loading="${eager ? 'eager' : 'lazy'}" decoding="async" referrerpolicy="no-referrer" />`
+    : '';
+
+  return `
+    <div class="cover cover-${size}" style="--cover-hue: ${coverHue(book)}" aria-hidden="true">
+      <div class="cover-fallback">
+        <span class="cover-title">${escapeHtml(book.title)}</span>
+        <span class="cover-author">${escapeHtml(book.author)}</span>
+      </div>
+      ${image}
+    </div>
+  `;
+}
+
+function isCoverImage(target) {
+  return target instanceof HTMLImageElement && target.classList.contains('cover-image');
+}
+
+/**
+ * Drop cover images that fail to load so the generated tile shows
+ * Open Library answers a missing cover with a 1×1 pixel image, which is
+ * treated the same. (Image load/error events don't bubble, so these
+ * listen in the capture phase.)
+ */
+export function initCovers() {
+  document.addEventListener('error', e => {
+    if (isCoverImage(e.target)) e.target.remove();
+  }, true);
+
+  document.addEventListener('load', e => {
+    if (isCoverImage(e.target) && e.target.naturalWidth <= 1) e.target.remove();
+  }, true);
+}
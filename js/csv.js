@@ -0,0 +1,97 @@
+/**
+ * BOOKISH LIBRARY - CSV MODULE
+ * Minimal RFC 4180 parser (quoted fields, embedded commas/newlines,
+ * doubled quotes) used by the importers, and the matching writer used
+ * by the exporter
+ */
+
+/**
+ * Parse delimited text into an array of rows (arrays of strings)
+ * @param {string} text - file contents
+ * @param {string} delimiter - ',' for CSV, '\t' for TSV
+ */
+export function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark (Excel adds one)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn parsed rows into objects keyed by the header row
+ * @returns {Object} { headers, records }
+ */
+export function rowsToRecords(rows) {
+  if (rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0].map(h => h.trim());
+  const records = rows.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = (values[i] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+/**
+ * Serialise rows (arrays of values) as CSV
+ * Fields are quoted only when they contain the delimiter, a quote or a
+ * line break, or have leading/trailing spaces.
+ */
+export function toCSV(rows, delimiter = ',') {
+  const escapeField = value => {
+    const text = String(value ?? '');
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(escapeField).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -1,10 +1,54 @@
 /**
  * BOOKISH LIBRARY - DATA MANAGEMENT (SUPABASE VERSION)
- * Handles all data operations with Supabase cloud database
+ * Handles all data operations with Supabase cloud database.
+ * Rows are mirrored to IndexedDB so the library opens offline, and writes
+ * made without a connection are queued and replayed when it returns.
  */
 
 import { supabase } from './supabase.js';
-import { generateId, getCurrentTimestamp, validateBook } from './utils.js';
+import { LocalCache } from './cache.js';
+import { normalizeBook, applyDefaults, pickEditable, fromRow, toRow } from './book.js';
+import { searchBooks } from './search.js';
+import {
+  fromRow as sessionFromRow,
+  toRow as sessionToRow,
+  isOpen,
+  sortSessions
+} from './session.js';
+import { fromRow as goalFromRow, toRow as goalToRow } from './goal.js';
+import { fromRow as viewFromRow, toRow as viewToRow } from './views.js';
+import { createBackup } from './backup.js';
+import { generateId, getCurrentTimestamp, validateBook, formatDate, isValidISBN } from './utils.js';
+
+const BOOKS_TABLE = 'bookslist';
+const SESSIONS_TABLE = 'reading_sessions';
+const GOALS_TABLE = 'reading_goals';
+const VIEWS_TABLE = 'saved_views';
+
+/**
+ * True when a Supabase error means "couldn't reach the server" rather
+ * than "the server rejected the request"
+ */
+function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  const message = error?.message || '';
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(message);
+}
+
+/**
+ * True when the session has expired — queued writes should wait for a
+ * fresh sign-in rather than be dropped
+ */
+function isAuthError(error) {
+  return error?.code === 'PGRST301' || /jwt/i.test(error?.message || '');
+}
+
+/**
+ * Oldest first — fetchRows() orders by created_at, the cache doesn't
+ */
+function byCreated(a, b) {
+  return a.createdAt.localeCompare(b.createdAt);
+}
 
 /**
  * Data store with Supabase
@@ -12,25 +56,284 @@ import { generateId, getCurrentTimestamp, validateBook } from './utils.js';
 class DataStore {
   constructor() {
     this.books = [];
+    this.sessions = [];
+    this.goals = [];
+    this.views = [];
+    this.userId = null;
+    this.cache = null;
+    this.pendingCount = 0;
+    this.syncListeners = new Set();
+    this.syncPromise = null;
+  }
+
+  /**
+   * Scope the store to a signed-in user
+   * Every query is filtered by user_id, and each user gets a separate
+   * offline cache so libraries never mix on a shared device.
+   */
+  setUser(userId) {
+    if (this.userId === userId) return;
+    this.userId = userId;
+    this.books = [];
+    this.sessions = [];
+    this.goals = [];
+    this.views = [];
+    this.pendingCount = 0;
+    this.cache = userId ? new LocalCache(`bookish-cache-${userId}`) : null;
+  }
+
+  /**
+   * Throw unless a user has been set
+   */
+  requireUser() {
+    if (!this.userId) {
+      throw new Error('Not signed in');
+    }
+  }
+
+  /**
+   * Load books from the local IndexedDB copy (fast, works offline)
+   * @returns {Promise<number>} Number of cached books
+   */
+  async loadFromCache() {
+    if (!this.cache) return 0;
+    try {
+      const rows = await this.cache.getRows(BOOKS_TABLE);
+      this.books = rows
+        .map(fromRow)
+        .sort((a, b) => a.title.localeCompare(b.title));
+      const sessionRows = await this.cache.getRows(SESSIONS_TABLE);
+      this.sessions = sessionRows.map(sessionFromRow);
+      const goalRows = await this.cache.getRows(GOALS_TABLE);
+      this.goals = goalRows.map(goalFromRow);
+      const viewRows = await this.cache.getRows(VIEWS_TABLE);
+      this.views = viewRows.map(viewFromRow).sort(byCreated);
+      await this.refreshPendingCount();
+      console.log(`Loaded ${this.books.length} books from local cache`);
+    } catch (error) {
+      console.warn('Local cache unavailable:', error);
+    }
+    return this.books.length;
   }
 
   /**
    * Load books from Supabase
+   * Pending offline changes are pushed first; if they can't be, the
+   * cached copy is kept so unsynced edits aren't overwritten.
    */
   async loadFromStorage() {
     try {
-      const { data, error } = await supabase
-        .from('bookslist')
-        .select('*')
-        .order('title');
-      
-      if (error) throw error;
-      
-      this.books = data || [];
+      this.requireUser();
+      const { remaining } = await this.syncPendingChanges();
+      if (remaining > 0) {
+        console.log(`${remaining} changes still pending — keeping local copy`);
+        return;
+      }
+
+      const [rows, sessionRows, goalRows, viewRows] = await Promise.all([
+        this.fetchRows(BOOKS_TABLE, 'title'),
+        this.fetchRows(SESSIONS_TABLE, 'created_at'),
+        this.fetchRows(GOALS_TABLE, 'year'),
+        this.fetchRows(VIEWS_TABLE, 'created_at')
+      ]);
+
+      this.books = rows.map(fromRow);
+      this.sessions = sessionRows.map(sessionFromRow);
+      this.goals = goalRows.map(goalFromRow);
+      this.views = viewRows.map(viewFromRow);
       console.log(`Loaded ${this.books.length} books from Supabase`);
+
+      try {
+        await this.cache.replaceRows(BOOKS_TABLE, rows);
+        await this.cache.replaceRows(SESSIONS_TABLE, sessionRows);
+        await this.cache.replaceRows(GOALS_TABLE, goalRows);
+        await this.cache.replaceRows(VIEWS_TABLE, viewRows);
+      } catch (cacheError) {
+        console.warn('Failed to update local cache:', cacheError);
+      }
     } catch (error) {
       console.error('Error loading from Supabase:', error);
-      this.books = [];
+      if (this.books.length === 0) {
+        await this.loadFromCache();
+      }
+    }
+  }
+
+  /**
+   * Fetch every row of a table belonging to the current user
+   */
+  async fetchRows(table, orderBy) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('user_id', this.userId)
+      .order(orderBy);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Subscribe to pending-change count updates
+   * @param {Function} listener - called with { pending }
+   */
+  onSyncStatusChange(listener) {
+    this.syncListeners.add(listener);
+    return () => this.syncListeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners of the current pending count
+   */
+  emitSyncStatus() {
+    this.syncListeners.forEach(listener => listener({ pending: this.pendingCount }));
+  }
+
+  /**
+   * Re-read the queue length from the cache
+   */
+  async refreshPendingCount() {
+    if (!this.cache) return 0;
+    try {
+      const queue = await this.cache.getQueue();
+      this.pendingCount = queue.length;
+    } catch (error) {
+      this.pendingCount = 0;
+    }
+    this.emitSyncStatus();
+    return this.pendingCount;
+  }
+
+  /**
+   * Send one write to Supabase, throwing on failure
+   */
+  async applyRemote(op) {
+    let query;
+    if (op.type === 'insert') {
+      query = supabase.from(op.table).insert([op.row]);
+    } else if (op.type === 'update') {
+      query = supabase.from(op.table).update(op.row).eq('id', op.id).eq('user_id', this.userId);
+    } else if (op.type === 'delete') {
+      query = supabase.from(op.table).delete().eq('id', op.id).eq('user_id', this.userId);
+    } else {
+      throw new Error(`Unknown operation: ${op.type}`);
+    }
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  /**
+   * Mirror a write into the local cache
+   */
+  async applyLocal(op) {
+    try {
+      if (op.type === 'delete') {
+        await this.cache.deleteRow(op.table, op.id);
+      } else {
+        await this.cache.putRow(op.table, op.row);
+      }
+    } catch (error) {
+      console.warn('Failed to update local cache:', error);
+    }
+  }
+
+  /**
+   * Add a write to the offline queue, folding it into an earlier
+   * pending write for the same row where possible
+   */
+  async enqueue(op) {
+    const queue = await this.cache.getQueue();
+    const earlier = queue.filter(entry => entry.table === op.table && entry.id === op.id);
+    const pendingInsert = earlier.find(entry => entry.type === 'insert');
+
+    if (pendingInsert && op.type === 'update') {
+      // Row never reached the server — just update what will be inserted
+      await this.cache.updateQueued({ ...pendingInsert, row: op.row });
+    } else if (pendingInsert && op.type === 'delete') {
+      // Created and deleted offline — nothing to send
+      for (const entry of earlier) {
+        await this.cache.dequeue(entry.seq);
+      }
+    } else {
+      await this.cache.enqueue(op);
+    }
+
+    await this.refreshPendingCount();
+  }
+
+  /**
+   * Write to Supabase, or queue the write when offline
+   * Writes are queued (not sent) while older ones are pending so they
+   * replay in order.
+   */
+  async commit(op) {
+    if (this.pendingCount === 0 && navigator.onLine !== false) {
+      try {
+        await this.applyRemote(op);
+        await this.applyLocal(op);
+        return { queued: false };
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        console.log('Offline — queueing change:', op.type, op.id);
+      }
+    }
+
+    try {
+      await this.enqueue(op);
+    } catch (error) {
+      console.error('Failed to queue change:', error);
+      throw new Error('You appear to be offline and changes cannot be saved locally');
+    }
+
+    await this.applyLocal(op);
+    return { queued: true };
+  }
+
+  /**
+   * Replay queued writes against Supabase
+   * Stops at the first network or expired-session failure; writes the
+   * server rejects are dropped so one bad row can't block the rest of
+   * the queue.
+   * @returns {Promise<Object>} { synced, failed, remaining }
+   */
+  async syncPendingChanges() {
+    if (!this.cache) return { synced: 0, failed: 0, remaining: 0 };
+    if (this.syncPromise) return this.syncPromise;
+
+    this.syncPromise = (async () => {
+      let synced = 0;
+      let failed = 0;
+      let queue = [];
+
+      try {
+        queue = await this.cache.getQueue();
+      } catch (error) {
+        return { synced, failed, remaining: 0 };
+      }
+
+      for (const entry of queue) {
+        try {
+          await this.applyRemote(entry);
+          await this.cache.dequeue(entry.seq);
+          synced++;
+        } catch (error) {
+          if (isNetworkError(error) || isAuthError(error)) break;
+          console.error('Dropping queued change rejected by server:', entry, error);
+          await this.cache.dequeue(entry.seq);
+          failed++;
+        }
+      }
+
+      const remaining = await this.refreshPendingCount();
+      if (synced > 0) console.log(`Synced ${synced} pending changes`);
+      return { synced, failed, remaining };
+    })();
+
+    try {
+      return await this.syncPromise;
+    } finally {
+      this.syncPromise = null;
     }
   }
 
@@ -50,80 +353,76 @@ class DataStore {
 
   /**
    * Add a new book
+   * A book added as "reading" starts a reading session and one added as
+   * "read" logs a read finished today, so stats and goals count it.
+   * @param {Object} options - { recordSession: false } skips that (used
+   *   when the caller logs dates itself)
    */
-  async addBook(bookData) {
-    const validation = validateBook(bookData);
+  async addBook(bookData, { recordSession = true } = {}) {
+    const fields = normalizeBook(bookData);
+    const validation = validateBook(fields);
     if (!validation.isValid) {
       throw new Error(validation.errors.join(', '));
     }
 
+    this.requireUser();
+
     const book = {
       id: generateId(),
-      title: bookData.title.trim(),
-      author: bookData.author.trim(),
-      status: bookData.status,
-      genre: bookData.genre,
-      fiction_type: bookData.fictionType,
-      difficulty: bookData.difficulty,
-      formats: bookData.formats,
-      notes: bookData.notes?.trim() || '',
-      isbn: bookData.isbn?.trim() || '',
-      publication_date: bookData.publicationDate || '',
-      acquired_date: bookData.acquiredDate || '',
-      cover_url: bookData.coverUrl?.trim() || '',
-      added_at: getCurrentTimestamp()
+      userId: this.userId,
+      ...fields,
+      addedAt: getCurrentTimestamp()
     };
 
-    const { error } = await supabase
-      .from('bookslist')
-      .insert([book]);
-
-    if (error) throw error;
+    await this.commit({ table: BOOKS_TABLE, type: 'insert', id: book.id, row: toRow(book) });
 
     this.books.push(book);
+
+    if (recordSession && (book.status === 'reading' || book.status === 'read')) {
+      await this.recordStatusChange(book.id, '', book.status);
+    }
     return book;
   }
 
   /**
-   * Update an existing book
+   * Apply a partial update to an existing book
+   * Only the fields present in `changes` are modified; the merged book
+   * is validated as a whole before it is saved.
+   * @param {string} id - Book ID
+   * @param {Object} changes - Any subset of EDITABLE_FIELDS (camelCase)
+   * @param {Object} options - { recordSession: false } skips the automatic
+   *   reading-session update (used when the caller logs dates itself)
    */
-  async updateBook(id, bookData) {
+  async patchBook(id, changes, { recordSession = true } = {}) {
     const index = this.books.findIndex(book => book.id === id);
     if (index === -1) {
       throw new Error('Book not found');
     }
 
-    const validation = validateBook(bookData);
+    const existingBook = this.books[index];
+    const fields = normalizeBook({ ...existingBook, ...pickEditable(changes) });
+
+    // ISBNs saved before check digits were checked don't block other edits
+    const validation = validateBook(
+      fields.isbn === existingBook.isbn ? { ...fields, isbn: '' } : fields
+    );
     if (!validation.isValid) {
       throw new Error(validation.errors.join(', '));
     }
 
-    const existingBook = this.books[index];
     const updatedBook = {
-      id: existingBook.id,
-      added_at: existingBook.added_at,
-      title: bookData.title.trim(),
-      author: bookData.author.trim(),
-      status: bookData.status,
-      genre: bookData.genre,
-      fiction_type: bookData.fictionType,
-      difficulty: bookData.difficulty,
-      formats: bookData.formats,
-      notes: bookData.notes?.trim() || '',
-      isbn: bookData.isbn?.trim() || '',
-      publication_date: bookData.publicationDate || '',
-      acquired_date: bookData.acquiredDate || '',
-      cover_url: bookData.coverUrl?.trim() || ''
+      ...existingBook,
+      userId: existingBook.userId || this.userId,
+      ...fields
     };
 
-    const { error } = await supabase
-      .from('bookslist')
-      .update(updatedBook)
-      .eq('id', id);
-
-    if (error) throw error;
+    await this.commit({ table: BOOKS_TABLE, type: 'update', id, row: toRow(updatedBook) });
 
     this.books[index] = updatedBook;
+
+    if (recordSession && updatedBook.status !== existingBook.status) {
+      await this.recordStatusChange(id, existingBook.status, updatedBook.status);
+    }
     return updatedBook;
   }
 
@@ -136,72 +435,354 @@ class DataStore {
       throw new Error('Book not found');
     }
 
-    const { error } = await supabase
-      .from('bookslist')
-      .delete()
-      .eq('id', id);
+    await this.commit({ table: BOOKS_TABLE, type: 'delete', id });
 
-    if (error) throw error;
+    // Sessions are removed server-side by the foreign key cascade
+    const orphaned = this.sessions.filter(session => session.bookId === id);
+    this.sessions = this.sessions.filter(session => session.bookId !== id);
+    for (const session of orphaned) {
+      await this.applyLocal({ table: SESSIONS_TABLE, type: 'delete', id: session.id });
+    }
 
     const deleted = this.books.splice(index, 1)[0];
     return deleted;
   }
 
   /**
-   * Import books from JSON
+   * Get every reading session for a book, oldest first
+   */
+  getSessionsForBook(bookId) {
+    return sortSessions(this.sessions.filter(session => session.bookId === bookId));
+  }
+
+  /**
+   * Get the in-progress session for a book, if any
+   */
+  getOpenSession(bookId) {
+    return this.sessions.find(session => session.bookId === bookId && isOpen(session));
+  }
+
+  /**
+   * Open or close reading sessions to match a status change
+   *  → reading: start a new session (a re-read if the book was read)
+   *  → read:    finish the open session, or log a finish-only read
+   *  reading → unread: mark the open session abandoned
+   */
+  async recordStatusChange(bookId, fromStatus, toStatus) {
+    const today = formatDate(new Date());
+    const open = this.getOpenSession(bookId);
+
+    if (toStatus === 'reading') {
+      if (open) return;
+      await this.addSession({ bookId, startedAt: today });
+    } else if (toStatus === 'read') {
+      if (open) {
+        await this.updateSession(open.id, { finishedAt: today });
+      } else {
+        await this.addSession({ bookId, finishedAt: today });
+      }
+    } else if (toStatus === 'unread' && fromStatus === 'reading' && open) {
+      await this.updateSession(open.id, { finishedAt: today, abandoned: true });
+    }
+  }
+
+  /**
+   * Create a reading session
+   */
+  async addSession({ bookId, startedAt = '', finishedAt = '', abandoned = false }) {
+    this.requireUser();
+
+    const session = {
+      id: generateId('read'),
+      userId: this.userId,
+      bookId,
+      startedAt,
+      finishedAt,
+      abandoned,
+      createdAt: getCurrentTimestamp()
+    };
+
+    await this.commit({
+      table: SESSIONS_TABLE,
+      type: 'insert',
+      id: session.id,
+      row: sessionToRow(session)
+    });
+
+    this.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Update dates or the abandoned flag on a reading session
+   */
+  async updateSession(id, changes) {
+    const index = this.sessions.findIndex(session => session.id === id);
+    if (index === -1) {
+      throw new Error('Reading session not found');
+    }
+
+    const updated = { ...this.sessions[index] };
+    ['startedAt', 'finishedAt', 'abandoned'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+
+    await this.commit({
+      table: SESSIONS_TABLE,
+      type: 'update',
+      id,
+      row: sessionToRow(updated)
+    });
+
+    this.sessions[index] = updated;
+    return updated;
+  }
+
+  /**
+   * Get the reading goal for a year, if one is set
    */
-  async importBooks(importedBooks) {
-    if (!Array.isArray(importedBooks)) {
-      throw new Error('Invalid import data: expected an array');
+  getGoal(year) {
+    return this.goals.find(goal => goal.year === year) || null;
+  }
+
+  /**
+   * Set (or change) the number of books to read in a year
+   */
+  async setGoal(year, target) {
+    this.requireUser();
+
+    if (!Number.isInteger(target) || target < 1) {
+      throw new Error('Goal must be a whole number of books');
     }
 
-    let imported = 0;
-    let skipped = 0;
+    const existing = this.getGoal(year);
+    const goal = {
+      id: existing?.id || generateId('goal'),
+      userId: this.userId,
+      year,
+      target,
+      updatedAt: getCurrentTimestamp()
+    };
+
+    await this.commit({
+      table: GOALS_TABLE,
+      type: existing ? 'update' : 'insert',
+      id: goal.id,
+      row: goalToRow(goal)
+    });
+
+    this.goals = [...this.goals.filter(g => g.id !== goal.id), goal];
+    return goal;
+  }
+
+  /**
+   * Saved views, oldest first (the order their chips appear in)
+   */
+  getViews() {
+    return this.views;
+  }
+
+  /**
+   * Find a saved view by name, ignoring case
+   */
+  getViewByName(name) {
+    const key = String(name ?? '').trim().toLowerCase();
+    return this.views.find(view => view.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Save the current filters under a name, replacing a view of the same name
+   * @param {string} query - from toQueryString()
+   */
+  async saveView(name, query) {
+    this.requireUser();
+
+    const trimmed = String(name ?? '').replace(/\s+/g, ' ').trim();
+    if (!trimmed) {
+      throw new Error('View needs a name');
+    }
+
+    const existing = this.getViewByName(trimmed);
+    const now = getCurrentTimestamp();
+    const view = {
+      id: existing?.id || generateId('view'),
+      userId: this.userId,
+      name: trimmed,
+      query,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await this.commit({
+      table: VIEWS_TABLE,
+      type: existing ? 'update' : 'insert',
+      id: view.id,
+      row: viewToRow(view)
+    });
+
+    this.views = existing
+      ? this.views.map(v => (v.id === view.id ? view : v))
+      : [...this.views, view];
+    return view;
+  }
+
+  /**
+   * Delete a saved view
+   */
+  async deleteView(id) {
+    this.requireUser();
+    await this.commit({ table: VIEWS_TABLE, type: 'delete', id });
+    this.views = this.views.filter(view => view.id !== id);
+  }
+
+  /**
+   * Export books with their reading sessions, goals and saved views as a
+   * backup envelope
+   * @param {Array} books - the whole library by default
+   */
+  exportBackup(books = this.books) {
+    const bookIds = new Set(books.map(book => book.id));
+    return createBackup({
+      books: books.map(toRow),
+      sessions: this.sessions.filter(s => bookIds.has(s.bookId)).map(sessionToRow),
+      goals: this.goals.map(goalToRow),
+      views: this.views.map(viewToRow)
+    });
+  }
+
+  /**
+   * Restore a (migrated) backup, keeping ids and added dates
+   *  replace: delete the current library and goals first — only once the
+   *           backup is known to hold at least one valid book
+   *  merge:   add only books, sessions and goals not already present
+   *           (by id; goals by year)
+   * Saved views are merged by name either way: new names are added, and
+   * a view that already exists keeps its filters on merge and takes the
+   * backup's on replace.
+   * @param {Object} backup - output of migrateBackup()
+   * @param {Object} options - { mode: 'replace' | 'merge' }
+   * @returns {Promise<Object>} { books, sessions, goals, views, skipped, failed }
+   * @throws if replacing and no book in the backup is valid (nothing is deleted)
+   */
+  async restoreBackup(backup, { mode = 'merge' } = {}) {
+    this.requireUser();
+
+    const result = { books: 0, sessions: 0, goals: 0, views: 0, skipped: 0, failed: 0 };
+
+    // Normalize and validate every book before anything is touched
+    const entries = backup.books.map(row => {
+      const fields = applyDefaults(fromRow(row));
+      // Older backups may hold ISBNs with a wrong check digit — drop those, keep the book
+      if (!isValidISBN(fields.isbn)) fields.isbn = '';
+      const book = {
+        id: row.id || generateId(),
+        userId: this.userId,
+        ...fields,
+        addedAt: row.added_at || getCurrentTimestamp()
+      };
+      return { row, book, validation: validateBook(fields) };
+    });
+
+    if (mode === 'replace') {
+      if (!entries.some(entry => entry.validation.isValid)) {
+        throw new Error('No valid books in this backup — your library was left as it is');
+      }
+      for (const book of [...this.books]) {
+        await this.deleteBook(book.id);
+      }
+      for (const goal of [...this.goals]) {
+        await this.commit({ table: GOALS_TABLE, type: 'delete', id: goal.id });
+        this.goals = this.goals.filter(g => g.id !== goal.id);
+      }
+    }
+
+    const restoredBookIds = new Set();
+
+    for (const { row, book, validation } of entries) {
+      if (this.getBookById(book.id)) {
+        result.skipped++;
+        continue;
+      }
 
-    for (const bookData of importedBooks) {
       try {
-        const isDuplicate = this.books.some(
-          existing => 
-            existing.title.toLowerCase() === bookData.title?.toLowerCase() &&
-            existing.author.toLowerCase() === bookData.author?.toLowerCase()
-        );
-
-        if (isDuplicate) {
-          skipped++;
-          continue;
+        if (!validation.isValid) {
+          throw new Error(validation.errors.join(', '));
         }
+        await this.commit({ table: BOOKS_TABLE, type: 'insert', id: book.id, row: toRow(book) });
+        this.books.push(book);
+        restoredBookIds.add(book.id);
+        result.books++;
+      } catch (error) {
+        console.error('Error restoring book:', row, error);
+        result.failed++;
+      }
+    }
 
-        const completeBookData = {
-          title: bookData.title || 'Untitled',
-          author: bookData.author || 'Unknown Author',
-          status: bookData.status || 'unread',
-          genre: bookData.genre || 'Uncategorized',
-          fictionType: bookData.fictionType || 'Nonfiction',
-          difficulty: bookData.difficulty || 'Moderate',
-          formats: bookData.formats || ['physical'],
-          notes: bookData.notes || '',
-          isbn: bookData.isbn || '',
-          publicationDate: bookData.publicationDate || '',
-          acquiredDate: bookData.acquiredDate || '',
-          coverUrl: bookData.coverUrl || ''
-        };
-
-        await this.addBook(completeBookData);
-        imported++;
+    // Sessions only come back with their book
+    for (const row of backup.sessions) {
+      const session = { ...sessionFromRow(row), userId: this.userId };
+      if (!restoredBookIds.has(session.bookId)) continue;
+      if (this.sessions.some(s => s.id === session.id)) continue;
+
+      try {
+        await this.commit({
+          table: SESSIONS_TABLE,
+          type: 'insert',
+          id: session.id,
+          row: sessionToRow(session)
+        });
+        this.sessions.push(session);
+        result.sessions++;
       } catch (error) {
-        console.error('Error importing book:', bookData, error);
-        skipped++;
+        console.error('Error restoring reading session:', row, error);
+        result.failed++;
       }
     }
 
-    return { imported, skipped, total: importedBooks.length };
-  }
+    for (const row of backup.goals) {
+      const goal = { ...goalFromRow(row), userId: this.userId };
+      if (this.getGoal(goal.year)) continue;
 
-  /**
-   * Export all books as JSON
-   */
-  exportBooks() {
-    return [...this.books];
+      try {
+        await this.commit({ table: GOALS_TABLE, type: 'insert', id: goal.id, row: goalToRow(goal) });
+        this.goals.push(goal);
+        result.goals++;
+      } catch (error) {
+        console.error('Error restoring goal:', row, error);
+        result.failed++;
+      }
+    }
+
+    for (const row of backup.views) {
+      const fields = viewFromRow(row);
+      const existing = this.getViewByName(fields.name);
+      if (existing && (mode !== 'replace' || existing.query === fields.query)) continue;
+
+      try {
+        if (existing) {
+          await this.saveView(existing.name, fields.query);
+        } else {
+          const now = getCurrentTimestamp();
+          const view = {
+            ...fields,
+            id: fields.id && !this.views.some(v => v.id === fields.id) ? fields.id : generateId('view'),
+            userId: this.userId,
+            name: fields.name.replace(/\s+/g, ' ').trim(),
+            createdAt: fields.createdAt || now,
+            updatedAt: fields.updatedAt || now
+          };
+          await this.commit({ table: VIEWS_TABLE, type: 'insert', id: view.id, row: viewToRow(view) });
+          this.views.push(view);
+        }
+        result.views++;
+      } catch (error) {
+        console.error('Error restoring saved view:', row, error);
+        result.failed++;
+      }
+    }
+
+    this.books.sort((a, b) => a.title.localeCompare(b.title));
+    return result;
   }
 
   /**
@@ -215,14 +796,43 @@ class DataStore {
     return Array.from(genres).sort();
   }
 
+  /**
+   * Every series name in use, case-insensitively de-duplicated, A–Z
+   */
+  getUniqueSeries() {
+    const series = new Map();
+    this.books.forEach(book => {
+      const key = book.series.toLowerCase();
+      if (book.series && !series.has(key)) series.set(key, book.series);
+    });
+    return Array.from(series.values()).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Every tag (or shelf) in use, case-insensitively de-duplicated, A–Z
+   * @param {string} field - 'tags' or 'shelves'
+   */
+  getUniqueTags(field = 'tags') {
+    const tags = new Map();
+    this.books.forEach(book => {
+      (book[field] || []).forEach(tag => {
+        const key = tag.toLowerCase();
+        if (!tags.has(key)) tags.set(key, tag);
+      });
+    });
+    return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+  }
+
   /**
    * Filter books
+   * criteria.tags are matched case-insensitively: every tag when
+   * criteria.tagMode is 'all' (the default), any of them when 'any'
    */
   filterBooks(criteria) {
     let filtered = [...this.books];
 
     if (criteria.fictionType) {
-      filtered = filtered.filter(book => book.fiction_type === criteria.fictionType);
+      filtered = filtered.filter(book => book.fictionType === criteria.fictionType);
     }
 
     if (criteria.genre) {
@@ -239,27 +849,39 @@ class DataStore {
       });
     }
 
-    if (criteria.search) {
-      const lowerQuery = criteria.search.toLowerCase().trim();
+    if (criteria.shelf) {
+      const shelf = criteria.shelf.toLowerCase();
+      filtered = filtered.filter(book =>
+        book.shelves.some(s => s.toLowerCase() === shelf)
+      );
+    }
+
+    if (criteria.tags && criteria.tags.length > 0) {
+      const wanted = criteria.tags.map(tag => tag.toLowerCase());
+      const matchAny = criteria.tagMode === 'any';
       filtered = filtered.filter(book => {
-        return (
-          book.title.toLowerCase().includes(lowerQuery) ||
-          book.author.toLowerCase().includes(lowerQuery) ||
-          book.genre.toLowerCase().includes(lowerQuery) ||
-          book.notes.toLowerCase().includes(lowerQuery) ||
-          book.fiction_type.toLowerCase().includes(lowerQuery)
-        );
+        const bookTags = book.tags.map(tag => tag.toLowerCase());
+        return matchAny
+          ? wanted.some(tag => bookTags.includes(tag))
+          : wanted.every(tag => bookTags.includes(tag));
       });
     }
 
+    // Ranked, typo-tolerant search with field qualifiers (see search.js)
+    if (criteria.search) {
+      filtered = searchBooks(filtered, criteria.search);
+    }
+
     return filtered;
   }
 
   /**
    * Sort books
+   * 'relevance' keeps the order filterBooks() ranked search results in
    */
   sortBooks(books, sortBy, ascending = true) {
     const sorted = [...books];
+    if (sortBy === 'relevance') return sorted;
 
     sorted.sort((a, b) => {
       let aVal = a[sortBy];
@@ -270,6 +892,12 @@ class DataStore {
         bVal = b.formats.join(', ');
       }
 
+      // Unrated books sort below half a star
+      if (sortBy === 'rating') {
+        aVal = a.rating ?? 0;
+        bVal = b.rating ?? 0;
+      }
+
       if (typeof aVal === 'string') aVal = aVal.toLowerCase();
       if (typeof bVal === 'string') bVal = bVal.toLowerCase();
 
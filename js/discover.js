@@ -6,7 +6,10 @@
  */
 
 import { dataStore } from './data.js';
-import { showToast } from './utils.js';
+import { formatSeries } from './book.js';
+import { getNextInSeries } from './series.js';
+import { renderCover } from './covers.js';
+import { escapeHtml, showToast } from './utils.js';
 
 // ── Cache ─────────────────────────────────────────────────────────────────────
 const CACHE_KEY   = 'bookish_discover_cache';
@@ -34,6 +37,7 @@ const $ = id => document.getElementById(id);
 
 // ── State ─────────────────────────────────────────────────────────────────────
 let activeChip = '';
+let onLibraryChanged = null;
 
 // ── Open / close ──────────────────────────────────────────────────────────────
 export function openDiscover() {
@@ -42,6 +46,18 @@ export function openDiscover() {
   $('discoverPrompt').focus();
 }
 
+/**
+ * Open the sheet and run a prompt straight away (e.g. from the author view)
+ * @param {Object} options - passed to runDiscover, e.g. { author }
+ */
+export function discoverWithPrompt(prompt, options = {}) {
+  document.querySelectorAll('.discover-chip').forEach(c => c.classList.remove('active'));
+  activeChip = '';
+  openDiscover();
+  $('discoverPrompt').value = prompt;
+  runDiscover(options);
+}
+
 export function closeDiscover() {
   $('discoverBackdrop').classList.remove('open');
   $('discoverSheet').classList.remove('open');
@@ -71,16 +87,16 @@ function buildCard(rec, tasteSummary) {
   const card = document.createElement('div');
   card.className = 'discover-card';
   card.innerHTML = `
-    <div class="discover-card-cover">📖</div>
+    <div class="discover-card-cover">${renderCover(rec, { size: 'small' })}</div>
     <div class="discover-card-body">
-      <div class="discover-card-title">${escHtml(rec.title)}</div>
-      <div class="discover-card-author">${escHtml(rec.author)}</div>
+      <div class="discover-card-title">${escapeHtml(rec.title)}</div>
+      <div class="discover-card-author">${escapeHtml(rec.author)}</div>
       <div class="discover-card-tags">
-        <span class="discover-tag">${escHtml(rec.genre || '')}</span>
+        <span class="discover-tag">${escapeHtml(rec.genre || '')}</span>
         ${hasAudible ? '<span class="discover-tag discover-tag-format">🎧 Audible</span>' : ''}
       </div>
-      ${rec.literary_match ? `<div class="discover-card-match">${escHtml(rec.literary_match)}</div>` : ''}
-      <div class="discover-card-why">${escHtml(rec.why || '')}</div>
+      ${rec.literary_match ? `<div class="discover-card-match">${escapeHtml(rec.literary_match)}</div>` : ''}
+      <div class="discover-card-why">${escapeHtml(rec.why || '')}</div>
       <div class="discover-card-actions">
         <button class="discover-btn discover-btn-add">+ Add to library</button>
         <button class="discover-btn discover-btn-skip">Not for me</button>
@@ -126,18 +142,13 @@ async function addRecommendation(rec, card) {
 
   try {
     await dataStore.addBook({
-      title:           rec.title,
-      author:          rec.author,
-      status:          'unread',
-      genre:           rec.genre || 'Uncategorized',
-      fictionType:     rec.fiction_type || 'Fiction',
-      difficulty:      'Moderate',
-      formats:         rec.suggested_formats?.length ? rec.suggested_formats : ['physical'],
-      notes:           '',
-      isbn:            '',
-      publicationDate: '',
-      acquiredDate:    '',
-      coverUrl:        '',
+      title:       rec.title,
+      author:      rec.author,
+      status:      'unread',
+      genre:       rec.genre || 'Uncategorized',
+      fictionType: rec.fiction_type || 'Fiction',
+      difficulty:  'Moderate',
+      formats:     rec.suggested_formats?.length ? rec.suggested_formats : ['physical'],
     });
 
     btn.textContent = '✓ Added';
@@ -145,8 +156,8 @@ async function addRecommendation(rec, card) {
     btn.style.borderColor = '#2d7a2d';
     showToast(`Added "${rec.title}" to your library`);
 
-    // Refresh the main library view if available
-    if (typeof window.renderBooks === 'function') window.renderBooks();
+    // Refresh the main library view
+    if (onLibraryChanged) await onLibraryChanged();
 
   } catch (err) {
     btn.disabled = false;
@@ -155,8 +166,75 @@ async function addRecommendation(rec, card) {
   }
 }
 
+// ── Next in series (answered from the library) ───────────────────────────────
+
+/**
+ * "What's next in the series I'm reading?" and similar
+ */
+function isNextInSeriesPrompt(prompt) {
+  return /\bnext\b.*\bseries\b|\bseries\b.*\bnext\b/i.test(prompt);
+}
+
+function buildSeriesCard({ series, book, after }) {
+  const card = document.createElement('div');
+  card.className = 'discover-card';
+  card.innerHTML = `
+    <div class="discover-card-cover">${renderCover(book, { size: 'small' })}</div>
+    <div class="discover-card-body">
+      <div class="discover-card-title">${escapeHtml(book.title)}</div>
+      <div class="discover-card-author">${escapeHtml(book.author)}</div>
+      <div class="discover-card-tags">
+        <span class="discover-tag">${escapeHtml(formatSeries(book))}</span>
+        <span class="discover-tag discover-tag-format">On your shelf</span>
+      </div>
+      <div class="discover-card-why">Next in ${escapeHtml(series)} after ${escapeHtml(after.title)}${after.status === 'reading' ? ' (reading now)' : ''}.</div>
+      <div class="discover-card-actions">
+        <button class="discover-btn discover-btn-add">Start reading</button>
+      </div>
+    </div>
+  `;
+
+  const btn = card.querySelector('.discover-btn-add');
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    try {
+      await dataStore.patchBook(book.id, { status: 'reading' });
+      btn.textContent = '✓ Reading';
+      showToast(`📖 Started "${book.title}"`);
+      if (onLibraryChanged) await onLibraryChanged();
+    } catch (err) {
+      btn.disabled = false;
+      showToast(`Failed to update book: ${err.message}`);
+    }
+  });
+
+  return card;
+}
+
+/**
+ * Show the next owned volume of each series in progress
+ * @returns {boolean} false if there's nothing in the library to suggest
+ */
+function showNextInSeries(results) {
+  const next = getNextInSeries(dataStore.getAllBooks());
+  if (next.length === 0) return false;
+
+  const label = document.createElement('div');
+  label.className = 'discover-results-label';
+  label.textContent = `${next.length} series to continue · already on your shelf`;
+  results.appendChild(label);
+
+  next.forEach(item => results.appendChild(buildSeriesCard(item)));
+  results.style.display = 'block';
+  return true;
+}
+
 // ── Fetch recommendations ─────────────────────────────────────────────────────
-async function fetchRecommendations(prompt) {
+/**
+ * @param {string} prompt
+ * @param {string} author - optional; limits recommendations to this author
+ */
+async function fetchRecommendations(prompt, author = '') {
   const cached = readCache(prompt);
   if (cached) return cached;
 
@@ -165,8 +243,10 @@ async function fetchRecommendations(prompt) {
     author:       b.author,
     status:       b.status,
     genre:        b.genre,
-    fiction_type: b.fictionType || b.fiction_type,
+    fiction_type: b.fictionType,
     difficulty:   b.difficulty,
+    rating:       b.rating,
+    series:       formatSeries(b),
     notes:        b.notes || '',
   }));
 
@@ -175,7 +255,7 @@ async function fetchRecommendations(prompt) {
     const res = await fetch('/api/recommend', {
       method:  'POST',
       headers: { 'Content-Type': 'application/json' },
-      body:    JSON.stringify({ prompt, books }),
+      body:    JSON.stringify({ prompt, books, author }),
     });
 
     if (res.ok) {
@@ -227,7 +307,10 @@ function emailResults(recs, promptText) {
 }
 
 // ── Run discovery ─────────────────────────────────────────────────────────────
-async function runDiscover() {
+/**
+ * @param {Object} options - { author } to ask only for books by one author
+ */
+async function runDiscover({ author = '' } = {}) {
   const prompt   = ($('discoverPrompt').value || '').trim();
   const loading  = $('discoverLoading');
   const results  = $('discoverResults');
@@ -237,10 +320,14 @@ async function runDiscover() {
   results.innerHTML = '';
   results.style.display = 'none';
   errorEl.style.display = 'none';
+
+  // The next volume is already in the library — no need to ask the model
+  if (isNextInSeriesPrompt(prompt) && showNextInSeries(results)) return;
+
   loading.style.display  = 'block';
 
   try {
-    const recs = await fetchRecommendations(prompt);
+    const recs = await fetchRecommendations(prompt, author);
 
     loading.style.display = 'none';
 
@@ -279,17 +366,13 @@ async function runDiscover() {
   }
 }
 
-// ── Tiny XSS guard ────────────────────────────────────────────────────────────
-function escHtml(str) {
-  return String(str ?? '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
-
 // ── Init ──────────────────────────────────────────────────────────────────────
-export function initDiscover() {
+/**
+ * @param {Object} options - { onLibraryChanged } called after a book is added or started
+ */
+export function initDiscover(options = {}) {
+  onLibraryChanged = options.onLibraryChanged || null;
+
   // Wire Discover button in header
   $('discoverBtn')?.addEventListener('click', openDiscover);
 
@@ -303,7 +386,7 @@ export function initDiscover() {
   });
 
   // Go button + Enter key in prompt
-  $('discoverGo')?.addEventListener('click', runDiscover);
+  $('discoverGo')?.addEventListener('click', () => runDiscover());
   $('discoverPrompt')?.addEventListener('keydown', e => {
     if (e.key === 'Enter') runDiscover();
   });
@@ -0,0 +1,296 @@
+/**
+ * Bookish — Export dialog
+ * JSON backup (see backup.js), spreadsheet CSV, Goodreads-compatible CSV and a Markdown
+ * reading list, for the whole library or just the books currently shown.
+ */
+
+import { dataStore } from './data.js';
+import { toCSV } from './csv.js';
+import { parseISBN } from './isbn.js';
+import { downloadFile, downloadJSON, getExportFilename, showToast } from './utils.js';
+
+// ── DOM helpers ───────────────────────────────────────────────────────────────
+const $ = id => document.getElementById(id);
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const STATUS_LABELS = {
+  reading: 'Reading',
+  unread: 'Unread',
+  read: 'Read'
+};
+
+const FORMAT_LABELS = {
+  physical: 'Physical',
+  kindle: 'Kindle',
+  audible: 'Audible'
+};
+
+/**
+ * Latest completed (not abandoned) finish date for a book, or ''
+ */
+function lastFinished(bookId) {
+  return dataStore.getSessionsForBook(bookId)
+    .filter(session => session.finishedAt && !session.abandoned)
+    .map(session => session.finishedAt)
+    .sort()
+    .pop() || '';
+}
+
+/**
+ * "2024-03-05T10:00:00Z" → "2024-03-05"
+ */
+function dateOnly(value) {
+  return (value || '').slice(0, 10);
+}
+
+// ── Spreadsheet CSV ───────────────────────────────────────────────────────────
+
+function buildCSV(books) {
+  const header = [
+    'Title', 'Author', 'Contributors', 'Series', 'Series #', 'Status', 'Genre', 'Fiction Type', 'Difficulty',
+    'Formats', 'Tags', 'Shelves', 'ISBN', 'Publication Date', 'Acquired Date', 'Added', 'Last Finished',
+    'Rating', 'Review', 'Notes'
+  ];
+
+  const rows = books.map(book => [
+    book.title,
+    book.author,
+    book.contributors
+      .filter(c => c.role !== 'author')
+      .map(c => `${c.name} (${c.role})`)
+      .join('; '),
+    book.series,
+    book.seriesPosition ?? '',
+    STATUS_LABELS[book.status] || book.status,
+    book.genre,
+    book.fictionType,
+    book.difficulty,
+    book.formats.map(f => FORMAT_LABELS[f] || f).join('; '),
+    book.tags.join(', '),
+    book.shelves.join(', '),
+    book.isbn,
+    book.publicationDate,
+    book.acquiredDate,
+    dateOnly(book.addedAt),
+    lastFinished(book.id),
+    book.rating ?? '',
+    book.review,
+    book.notes
+  ]);
+
+  // Byte order mark so Excel opens the file as UTF-8
+  return '\ufeff' + toCSV([header, ...rows]);
+}
+
+// ── Goodreads CSV ─────────────────────────────────────────────────────────────
+
+const GOODREADS_SHELVES = {
+  read: 'read',
+  reading: 'currently-reading',
+  unread: 'to-read'
+};
+
+const GOODREADS_BINDINGS = {
+  physical: 'Paperback',
+  kindle: 'Kindle Edition',
+  audible: 'Audiobook'
+};
+
+/**
+ * Goodreads dates are YYYY/MM/DD
+ */
+function toGoodreadsDate(value) {
+  return dateOnly(value).replace(/-/g, '/');
+}
+
+/**
+ * Goodreads puts the series in the title: "Leviathan Wakes (The Expanse, #1)"
+ */
+function toGoodreadsTitle(book) {
+  if (!book.series) return book.title;
+  const position = book.seriesPosition !== null ? `, #${book.seriesPosition}` : '';
+  return `${book.title} (${book.series}${position})`;
+}
+
+/**
+ * Columns follow Goodreads' own export so its importer (and ours) reads it
+ */
+function buildGoodreadsCSV(books) {
+  const header = [
+    'Title', 'Author', 'Additional Authors', 'ISBN', 'ISBN13', 'My Rating', 'Binding', 'Year Published',
+    'Date Read', 'Date Added', 'Bookshelves', 'Exclusive Shelf', 'My Review', 'Private Notes'
+  ];
+
+  const rows = books.map(book => {
+    // Both columns filled when the ISBN converts; kept as-is when it doesn't
+    const isbn = (book.isbn || '').replace(/[-\s]/g, '');
+    const isbns = parseISBN(isbn);
+    const shelf = GOODREADS_SHELVES[book.status] || 'to-read';
+    const genreShelf = book.genre && book.genre !== 'Uncategorized'
+      ? book.genre.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+      : '';
+
+    // Goodreads has one main author; everyone else is an additional author
+    const [mainAuthor, ...additional] = book.contributors.map(c => c.name);
+
+    return [
+      toGoodreadsTitle(book),
+      mainAuthor || book.author,
+      additional.join(', '),
+      isbns ? isbns.isbn10 : (isbn.length === 10 ? isbn : ''),
+      isbns ? isbns.isbn13 : (isbn.length === 13 ? isbn : ''),
+      // Goodreads only has whole stars
+      book.rating ? Math.round(book.rating) : 0,
+      GOODREADS_BINDINGS[book.formats[0]] || '',
+      (book.publicationDate || '').slice(0, 4),
+      book.status === 'read' ? toGoodreadsDate(lastFinished(book.id)) : '',
+      toGoodreadsDate(book.acquiredDate || book.addedAt),
+      [genreShelf, ...book.tags, shelf].filter(Boolean).join(', '),
+      shelf,
+      book.review,
+      book.notes
+    ];
+  });
+
+  return toCSV([header, ...rows]);
+}
+
+// ── Markdown reading list ─────────────────────────────────────────────────────
+
+/**
+ * Escape characters Markdown would treat as formatting
+ */
+function escMarkdown(str) {
+  return String(str ?? '').replace(/([\\`*_[\]#])/g, '\\$1');
+}
+
+/**
+ * @param {string} groupBy - 'status' or 'genre'
+ */
+function buildMarkdown(books, groupBy) {
+  const groups = new Map();
+
+  if (groupBy === 'status') {
+    // Fixed order: what's on the nightstand first
+    ['reading', 'unread', 'read'].forEach(status => groups.set(STATUS_LABELS[status], []));
+    books.forEach(book => groups.get(STATUS_LABELS[book.status])?.push(book));
+  } else {
+    [...new Set(books.map(book => book.genre || 'Uncategorized'))]
+      .sort((a, b) => a.localeCompare(b))
+      .forEach(genre => groups.set(genre, []));
+    books.forEach(book => groups.get(book.genre || 'Uncategorized').push(book));
+  }
+
+  const line = book => {
+    const finished = book.status === 'read' ? lastFinished(book.id) : '';
+    const details = groupBy === 'status'
+      ? [book.genre, finished ? `finished ${finished}` : '']
+      : [STATUS_LABELS[book.status]];
+    if (book.rating) details.push(`${book.rating}/5`);
+    const suffix = details.filter(Boolean).join(' · ');
+    return `- **${escMarkdown(book.title)}** — ${escMarkdown(book.author)}${suffix ? ` · ${escMarkdown(suffix)}` : ''}`;
+  };
+
+  const sections = Array.from(groups)
+    .filter(([, groupBooks]) => groupBooks.length > 0)
+    .map(([label, groupBooks]) =>
+      `## ${escMarkdown(label)} (${groupBooks.length})\n\n${groupBooks.map(line).join('\n')}`
+    );
+
+  const today = new Date().toISOString().slice(0, 10);
+  return [
+    '# Reading list',
+    `_Exported from Bookish on ${today} · ${books.length} book${books.length !== 1 ? 's' : ''}_`,
+    ...sections
+  ].join('\n\n') + '\n';
+}
+
+// ── Formats ───────────────────────────────────────────────────────────────────
+
+const EXPORT_FORMATS = {
+  json: {
+    name: 'backup',
+    download: (books, filename) => downloadJSON(dataStore.exportBackup(books), filename),
+    extension: 'json'
+  },
+  csv: {
+    name: 'library',
+    download: (books, filename) => downloadFile(buildCSV(books), filename, 'text/csv'),
+    extension: 'csv'
+  },
+  goodreads: {
+    name: 'goodreads',
+    download: (books, filename) => downloadFile(buildGoodreadsCSV(books), filename, 'text/csv'),
+    extension: 'csv'
+  },
+  markdown: {
+    name: 'reading-list',
+    download: (books, filename, options) =>
+      downloadFile(buildMarkdown(books, options.groupBy), filename, 'text/markdown'),
+    extension: 'md'
+  }
+};
+
+// ── Dialog ────────────────────────────────────────────────────────────────────
+let getCurrentBooks = () => [];
+
+function getSelectedScope() {
+  return document.querySelector('input[name="exportScope"]:checked')?.value || 'all';
+}
+
+function updateExportDialog() {
+  const all = dataStore.getAllBooks().length;
+  const current = getCurrentBooks().length;
+
+  $('exportScopeAllLabel').textContent = `Whole library (${all})`;
+  $('exportScopeCurrentLabel').textContent = `Current view (${current})`;
+  $('exportGroupByField').classList.toggle('hidden', $('exportFormat').value !== 'markdown');
+
+  const count = getSelectedScope() === 'current' ? current : all;
+  $('exportConfirmBtn').disabled = count === 0;
+}
+
+export function openExportDialog() {
+  // Default to the current view only when filters are narrowing the list
+  const filtered = getCurrentBooks().length < dataStore.getAllBooks().length;
+  document.querySelector(`input[name="exportScope"][value="${filtered ? 'current' : 'all'}"]`).checked = true;
+
+  updateExportDialog();
+  $('exportModal').classList.add('active');
+}
+
+export function closeExportDialog() {
+  $('exportModal').classList.remove('active');
+}
+
+function handleExportConfirm() {
+  const format = EXPORT_FORMATS[$('exportFormat').value];
+  const books = getSelectedScope() === 'current'
+    ? getCurrentBooks()
+    : dataStore.getAllBooks();
+
+  format.download(books, getExportFilename(format.extension, format.name), {
+    groupBy: $('exportGroupBy').value
+  });
+
+  closeExportDialog();
+  showToast(`📤 Exported ${books.length} book${books.length !== 1 ? 's' : ''}!`);
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+/**
+ * @param {Object} options - { getCurrentBooks } returns the filtered list on screen
+ */
+export function initExporter(options = {}) {
+  getCurrentBooks = options.getCurrentBooks || getCurrentBooks;
+
+  $('exportClose')?.addEventListener('click', closeExportDialog);
+  $('exportBackdrop')?.addEventListener('click', closeExportDialog);
+  $('exportCancelBtn')?.addEventListener('click', closeExportDialog);
+  $('exportConfirmBtn')?.addEventListener('click', handleExportConfirm);
+  $('exportFormat')?.addEventListener('change', updateExportDialog);
+  document.querySelectorAll('input[name="exportScope"]').forEach(input => {
+    input.addEventListener('change', updateExportDialog);
+  });
+}
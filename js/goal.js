@@ -0,0 +1,95 @@
+/**
+ * BOOKISH LIBRARY - READING GOAL MODEL
+ * Yearly targets ("40 books in 2026"), mapped to the reading_goals table,
+ * plus the pace/progress maths for the header ring
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fractions of the target that earn a celebratory toast
+export const MILESTONES = [0.25, 0.5, 0.75, 1];
+
+/**
+ * Convert a reading_goals row into a canonical goal
+ */
+export function fromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    year: Number(row.year),
+    target: Number(row.target),
+    updatedAt: row.updated_at || ''
+  };
+}
+
+/**
+ * Convert a canonical goal into a reading_goals row
+ */
+export function toRow(goal) {
+  return {
+    id: goal.id,
+    user_id: goal.userId,
+    year: goal.year,
+    target: goal.target,
+    updated_at: goal.updatedAt
+  };
+}
+
+/**
+ * Count distinct books finished in a year
+ * @param {Array} sessions - reading sessions
+ */
+export function countFinishedInYear(sessions, year) {
+  const bookIds = new Set(
+    sessions
+      .filter(s => !s.abandoned && s.finishedAt?.startsWith(String(year)))
+      .map(s => s.bookId)
+  );
+  return bookIds.size;
+}
+
+/**
+ * Progress towards a goal, with pace relative to the calendar
+ * @returns {Object} { year, target, done, fraction, expected, ahead, projected }
+ */
+export function computeGoalProgress(goal, sessions, today = new Date()) {
+  const year = goal.year;
+  const done = countFinishedInYear(sessions, year);
+
+  const start = new Date(year, 0, 1);
+  const end = new Date(year + 1, 0, 1);
+  const daysInYear = Math.round((end - start) / DAY_MS);
+
+  // Past years count as complete, future years as not started
+  let elapsedDays = Math.floor((today - start) / DAY_MS) + 1;
+  elapsedDays = Math.min(daysInYear, Math.max(0, elapsedDays));
+
+  const expected = goal.target * (elapsedDays / daysInYear);
+  const projected = elapsedDays > 0
+    ? Math.round((done / elapsedDays) * daysInYear)
+    : 0;
+
+  return {
+    year,
+    target: goal.target,
+    done,
+    fraction: goal.target > 0 ? done / goal.target : 0,
+    expected,
+    ahead: Math.round(done - expected),
+    projected
+  };
+}
+
+/**
+ * The highest milestone passed going from `before` to `after` books done,
+ * or null if none was crossed
+ */
+export function milestoneCrossed(before, after, target) {
+  if (!target || after <= before) return null;
+
+  const crossed = MILESTONES.filter(m => {
+    const threshold = Math.ceil(m * target);
+    return before < threshold && after >= threshold;
+  });
+  return crossed.length ? crossed[crossed.length - 1] : null;
+}
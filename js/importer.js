@@ -0,0 +1,384 @@
+/**
+ * Bookish — Import with preview
+ * Runs a file through the matching adapter (see adapters.js), flags rows
+ * that are already in the library, and lets the user choose add / merge /
+ * skip per row before anything is written.
+ */
+
+import { dataStore } from './data.js';
+import { detectImport } from './adapters.js';
+import { readBackup } from './backup.js';
+import { authorKey, getContributorNames, normalizeTags } from './book.js';
+import { toISBN13 } from './isbn.js';
+import { escapeHtml, showToast } from './utils.js';
+
+// ── DOM helpers ───────────────────────────────────────────────────────────────
+const $ = id => document.getElementById(id);
+
+// ── Duplicate detection ───────────────────────────────────────────────────────
+
+/**
+ * Lower-case a title and drop a trailing series marker like "(The Expanse, #1)"
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/\s*\([^)]*#\s*[\d.]+\)\s*$/, '')
+    .trim();
+}
+
+/**
+ * Find a book that matches on ISBN-13 (so an ISBN-10 finds the same book
+ * stored by its ISBN-13), or on title + any shared contributor (names
+ * compared by authorKey, so "Dahl, Roald" matches "Roald Dahl")
+ */
+export function findExisting(book, books) {
+  const isbn = book.isbn13 || toISBN13(book.isbn);
+  const title = normalizeTitle(book.title);
+  const people = getContributorNames(book).map(authorKey);
+
+  return books.find(existing =>
+    (isbn && (existing.isbn13 || toISBN13(existing.isbn)) === isbn) ||
+    (normalizeTitle(existing.title) === title &&
+      getContributorNames(existing).some(name => people.includes(authorKey(name))))
+  ) || null;
+}
+
+// ── Preview state ─────────────────────────────────────────────────────────────
+let previewEntries = [];
+let previewUnmapped = [];
+let onImported = null;
+
+/**
+ * Pair each import item with its library match and a default decision
+ * Matches default to "skip"; repeats within the file are skipped too.
+ */
+export function buildPreview(items, books) {
+  const seen = [];
+
+  return items.map(item => {
+    const existing = findExisting(item.book, books);
+    const repeated = !existing && findExisting(item.book, seen);
+    seen.push(item.book);
+
+    return {
+      ...item,
+      existing,
+      repeated: Boolean(repeated),
+      decision: existing || repeated ? 'skip' : 'add'
+    };
+  });
+}
+
+function renderPreview() {
+  const newCount = previewEntries.filter(e => !e.existing && !e.repeated).length;
+  const matchCount = previewEntries.filter(e => e.existing).length;
+
+  $('importPreviewSummary').textContent =
+    `${previewEntries.length} rows · ${newCount} new · ${matchCount} already in your library`;
+
+  // Columns with data that no book field takes — shown so nothing is lost silently
+  const unmapped = $('importPreviewUnmapped');
+  unmapped.textContent = previewUnmapped.length
+    ? `Not imported: ${previewUnmapped.join(', ')}`
+    : '';
+  unmapped.classList.toggle('hidden', previewUnmapped.length === 0);
+
+  $('importPreviewBody').innerHTML = previewEntries.map((entry, i) => {
+    let match = '<span class="import-match-new">New</span>';
+    if (entry.existing) {
+      match = `<span class="import-match-dup">In library: ${escapeHtml(entry.existing.title)}</span>`;
+    } else if (entry.repeated) {
+      match = '<span class="import-match-dup">Repeated in file</span>';
+    }
+
+    return `
+      <tr class="${entry.existing || entry.repeated ? 'import-row-dup' : ''}">
+        <td>
+          <select class="import-decision" data-index="${i}">
+            <option value="add" ${entry.decision === 'add' ? 'selected' : ''}>Add</option>
+            <option value="merge" ${entry.decision === 'merge' ? 'selected' : ''} ${entry.existing ? '' : 'disabled'}>Merge</option>
+            <option value="skip" ${entry.decision === 'skip' ? 'selected' : ''}>Skip</option>
+          </select>
+        </td>
+        <td>${escapeHtml(entry.book.title)}</td>
+        <td>${escapeHtml(entry.book.author)}</td>
+        <td>${escapeHtml(entry.book.status)}</td>
+        <td>${escapeHtml(entry.finishedAt)}</td>
+        <td>${match}</td>
+      </tr>
+    `;
+  }).join('');
+
+  updateConfirmButton();
+}
+
+function updateConfirmButton() {
+  const count = previewEntries.filter(e => e.decision !== 'skip').length;
+  const btn = $('importConfirmBtn');
+  btn.textContent = `Import ${count} book${count !== 1 ? 's' : ''}`;
+  btn.disabled = count === 0;
+}
+
+/**
+ * Set every matched row to the same decision
+ */
+function setDuplicateDecision(decision) {
+  previewEntries.forEach(entry => {
+    if (entry.existing) entry.decision = decision;
+    else if (entry.repeated) entry.decision = 'skip';
+  });
+  renderPreview();
+}
+
+/**
+ * Open the preview modal
+ * @param {Array} items - [{ book, finishedAt }]
+ * @param {string} sourceLabel - e.g. "Goodreads"
+ * @param {Array} unmapped - source columns that won't be imported
+ */
+export function openImportPreview(items, sourceLabel, unmapped = []) {
+  previewEntries = buildPreview(items, dataStore.getAllBooks());
+  previewUnmapped = unmapped;
+  $('importPreviewTitle').textContent = `Import from ${sourceLabel}`;
+  renderPreview();
+  $('importPreviewModal').classList.add('active');
+}
+
+export function closeImportPreview() {
+  $('importPreviewModal').classList.remove('active');
+  previewEntries = [];
+  previewUnmapped = [];
+}
+
+// ── Applying decisions ────────────────────────────────────────────────────────
+
+/**
+ * Log a finished read unless one already exists for that date
+ * An in-progress session is closed rather than left open beside it.
+ */
+async function logFinishedRead(bookId, finishedAt) {
+  if (!finishedAt) return;
+
+  const sessions = dataStore.getSessionsForBook(bookId);
+  if (sessions.some(session => session.finishedAt === finishedAt)) return;
+
+  const open = dataStore.getOpenSession(bookId);
+  if (open) {
+    await dataStore.updateSession(open.id, { finishedAt });
+  } else {
+    await dataStore.addSession({ bookId, finishedAt });
+  }
+}
+
+/**
+ * Fill gaps in an existing book from the imported copy
+ * Existing values win; formats, tags, shelves and contributors are combined.
+ */
+async function mergeIntoExisting(entry) {
+  const { book } = entry;
+  // The library copy, not the preview's snapshot — an earlier row in the
+  // same file may have merged into this book already
+  const existing = dataStore.getBookById(entry.existing.id) || entry.existing;
+  const changes = {
+    formats: Array.from(new Set([...existing.formats, ...book.formats])),
+    tags: normalizeTags([...existing.tags, ...book.tags]),
+    shelves: normalizeTags([...existing.shelves, ...book.shelves]),
+    // Authors stay as they are; translators, narrators etc. are added
+    contributors: [...existing.contributors, ...book.contributors.filter(c => c.role !== 'author')]
+  };
+
+  [
+    'isbn', 'publicationDate', 'acquiredDate', 'coverUrl', 'notes', 'rating', 'review',
+    'series', 'seriesPosition'
+  ].forEach(field => {
+    if (!existing[field] && book[field]) changes[field] = book[field];
+  });
+
+  // Importing a "read" shelf upgrades the status, but the session comes
+  // from the file's finish date rather than today
+  if (book.status === 'read' && existing.status !== 'read') {
+    changes.status = 'read';
+  }
+
+  await logFinishedRead(existing.id, entry.finishedAt);
+  await dataStore.patchBook(existing.id, changes, {
+    recordSession: !(changes.status === 'read' && entry.finishedAt)
+  });
+}
+
+async function applyPreview() {
+  const btn = $('importConfirmBtn');
+  btn.disabled = true;
+  btn.textContent = 'Importing…';
+
+  let added = 0;
+  let merged = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const entry of previewEntries) {
+    try {
+      if (entry.decision === 'skip') {
+        skipped++;
+      } else if (entry.decision === 'merge' && entry.existing) {
+        await mergeIntoExisting(entry);
+        merged++;
+      } else {
+        // A read book's session comes from the file's finish date, if any,
+        // not today — an old shelf shouldn't count towards this year
+        const book = await dataStore.addBook(entry.book, {
+          recordSession: entry.book.status !== 'read'
+        });
+        await logFinishedRead(book.id, entry.finishedAt);
+        added++;
+      }
+    } catch (error) {
+      console.error('Error importing row:', entry.source || entry.book, error);
+      failed++;
+    }
+  }
+
+  closeImportPreview();
+
+  const parts = [`${added} added`, `${merged} merged`, `${skipped} skipped`];
+  if (failed) parts.push(`${failed} failed`);
+  showToast(`✅ Import complete: ${parts.join(', ')}`, 5000);
+
+  if (onImported) await onImported();
+}
+
+// ── Restore from backup ───────────────────────────────────────────────────────
+let pendingBackup = null;
+let pendingBackupText = '';
+
+function plural(count, word) {
+  return `${count} ${word}${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Open the restore dialog for a (migrated) backup
+ * @param {Object} backup - output of readBackup()
+ * @param {string} text - the file contents, kept for "Review as new books"
+ */
+export function openRestoreDialog(backup, text) {
+  pendingBackup = backup;
+  pendingBackupText = text;
+
+  const exportedAt = backup.exportedAt
+    ? ` from ${new Date(backup.exportedAt).toLocaleString()}`
+    : '';
+  $('restoreSummary').textContent =
+    `Backup${exportedAt}: ${plural(backup.books.length, 'book')}, ` +
+    `${plural(backup.sessions.length, 'read')}, ${plural(backup.goals.length, 'goal')}, ` +
+    `${plural(backup.views.length, 'saved view')}`;
+
+  document.querySelector('input[name="restoreMode"][value="merge"]').checked = true;
+  $('restoreConfirmBtn').disabled = false;
+  $('restoreConfirmBtn').textContent = 'Restore';
+  $('restoreModal').classList.add('active');
+}
+
+export function closeRestoreDialog() {
+  $('restoreModal').classList.remove('active');
+  pendingBackup = null;
+  pendingBackupText = '';
+}
+
+async function applyRestore() {
+  const mode = document.querySelector('input[name="restoreMode"]:checked')?.value || 'merge';
+
+  if (mode === 'replace') {
+    const count = dataStore.getAllBooks().length;
+    const confirmed = count === 0 || confirm(
+      `Replace your library? All ${plural(count, 'book')}, their reading history and your goals will be deleted first.`
+    );
+    if (!confirmed) return;
+  }
+
+  const btn = $('restoreConfirmBtn');
+  btn.disabled = true;
+  btn.textContent = 'Restoring…';
+
+  try {
+    const result = await dataStore.restoreBackup(pendingBackup, { mode });
+    const parts = [
+      plural(result.books, 'book'),
+      plural(result.sessions, 'read'),
+      plural(result.goals, 'goal'),
+      plural(result.views, 'saved view')
+    ];
+    if (result.skipped) parts.push(`${result.skipped} already in library`);
+    if (result.failed) parts.push(`${result.failed} failed`);
+    showToast(`✅ Restored ${parts.join(', ')}`, 5000);
+  } catch (error) {
+    console.error('Restore error:', error);
+    showToast(`Restore failed: ${error.message}`);
+  }
+
+  closeRestoreDialog();
+  if (onImported) await onImported();
+}
+
+/**
+ * Treat the backup like any other import: new ids, per-book preview
+ */
+function reviewBackupAsImport() {
+  const result = detectImport(pendingBackupText);
+  closeRestoreDialog();
+  if (result) openImportPreview(result.items, result.adapter.label, result.unmapped);
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+/**
+ * Detect the file's format and open the preview
+ * @param {string} text - file contents
+ * @returns {boolean} false if no adapter recognises the file
+ */
+export function importFileText(text) {
+  const backup = readBackup(text);
+  if (backup) {
+    openRestoreDialog(backup, text);
+    return true;
+  }
+
+  const result = detectImport(text);
+  if (!result) return false;
+
+  if (result.items.length === 0) {
+    showToast(`No books found in the ${result.adapter.label} file`);
+    return true;
+  }
+
+  openImportPreview(result.items, result.adapter.label, result.unmapped);
+  return true;
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+/**
+ * @param {Object} options - { onImported } called after rows are written
+ */
+export function initImporter(options = {}) {
+  onImported = options.onImported || null;
+
+  $('importPreviewClose')?.addEventListener('click', closeImportPreview);
+  $('importPreviewBackdrop')?.addEventListener('click', closeImportPreview);
+  $('importCancelBtn')?.addEventListener('click', closeImportPreview);
+  $('importConfirmBtn')?.addEventListener('click', applyPreview);
+  $('importSkipDupsBtn')?.addEventListener('click', () => setDuplicateDecision('skip'));
+  $('importMergeDupsBtn')?.addEventListener('click', () => setDuplicateDecision('merge'));
+
+  $('importPreviewBody')?.addEventListener('change', e => {
+    const select = e.target.closest('.import-decision');
+    if (!select) return;
+    previewEntries[Number(select.dataset.index)].decision = select.value;
+    updateConfirmButton();
+  });
+
+  $('restoreClose')?.addEventListener('click', closeRestoreDialog);
+  $('restoreBackdrop')?.addEventListener('click', closeRestoreDialog);
+  $('restoreCancelBtn')?.addEventListener('click', closeRestoreDialog);
+  $('restoreConfirmBtn')?.addEventListener('click', applyRestore);
+  $('restoreReviewBtn')?.addEventListener('click', reviewBackupAsImport);
+}
@@ -0,0 +1,86 @@
+/**
+ * BOOKISH LIBRARY - ISBN
+ * Check-digit validation and ISBN-10 ⇄ ISBN-13 conversion. Books store
+ * the ISBN as entered plus its ISBN-13 form (`isbn13`), so the same book
+ * matches whichever form was scanned, typed or imported.
+ *
+ * Only 978 and 979 EANs are ISBNs ("Bookland") — other 13-digit barcodes
+ * are products, and 979-0 is the ISMN range for printed music.
+ */
+
+/**
+ * Digits (and a trailing X) only, upper-cased: "0-8044-2957-x" → "080442957X"
+ */
+export function compactISBN(value) {
+  return String(value ?? '').replace(/[^0-9Xx]/g, '').toUpperCase();
+}
+
+function isbn10CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(digits[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+function isbn13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Why a value isn't a valid ISBN, or '' if it is
+ * Used for messages; parseISBN() is the test.
+ */
+export function isbnProblem(value) {
+  const isbn = compactISBN(value);
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    return isbn10CheckDigit(isbn) === isbn[9] ? '' : 'ISBN check digit doesn\'t match — check for a typo';
+  }
+  if (/^\d{13}$/.test(isbn)) {
+    if (!/^97[89]/.test(isbn)) return 'Not a book barcode — ISBNs start with 978 or 979';
+    if (isbn.startsWith('9790')) return 'That\'s a sheet-music barcode (ISMN), not a book';
+    return isbn13CheckDigit(isbn) === isbn[12] ? '' : 'ISBN check digit doesn\'t match — check for a typo';
+  }
+  return 'ISBN must be 10 or 13 digits';
+}
+
+/**
+ * Both forms of an ISBN
+ * @param {string} value - ISBN-10 or ISBN-13, hyphens and spaces allowed
+ * @returns {Object|null} { isbn10, isbn13 } — isbn10 is '' for 979 ISBNs,
+ *   which have no 10-digit form — or null if it isn't a valid ISBN
+ */
+export function parseISBN(value) {
+  if (isbnProblem(value)) return null;
+
+  const isbn = compactISBN(value);
+  if (isbn.length === 10) {
+    return { isbn10: isbn, isbn13: isbn10To13(isbn) };
+  }
+  return { isbn10: isbn.startsWith('978') ? isbn13To10(isbn) : '', isbn13: isbn };
+}
+
+/**
+ * ISBN-10 → ISBN-13 (978 prefix, new check digit); no validation
+ */
+export function isbn10To13(isbn10) {
+  const stem = `978${compactISBN(isbn10).slice(0, 9)}`;
+  return stem + isbn13CheckDigit(stem);
+}
+
+/**
+ * 978 ISBN-13 → ISBN-10; no validation
+ */
+export function isbn13To10(isbn13) {
+  const stem = compactISBN(isbn13).slice(3, 12);
+  return stem + isbn10CheckDigit(stem);
+}
+
+/**
+ * The ISBN-13 form of a value, or '' if it isn't a valid ISBN
+ */
+export function toISBN13(value) {
+  return parseISBN(value)?.isbn13 || '';
+}
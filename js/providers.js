@@ -0,0 +1,352 @@
+/**
+ * BOOKISH LIBRARY - ISBN METADATA PROVIDERS
+ * A chain of metadata sources for ISBN lookup. Providers are asked in
+ * the configured order until the answers so far have every core field
+ * (title, authors, cover, date); the answers are merged field by field,
+ * earlier providers winning, and the result records which provider
+ * supplied each field — so if one source is down or has no cover, the
+ * next fills in, but a complete answer from the first (usually the
+ * cached /api/lookup) costs a single request.
+ *
+ * A provider is { id, name, lookup(isbn), covers? } where lookup resolves
+ * to a record (any of the fields below) or null when it doesn't know the
+ * book. `covers` lists providers whose sources it already asks; once it
+ * has answered (found or not) they are skipped.
+ *   { title, authors: [name | { name, role }], isbn, publicationDate,
+ *     coverUrl, series, seriesPosition, categories: [] }
+ */
+
+import { formatNames, normalizeContributors, normalizeSeriesPosition, parseSeries } from './book.js';
+
+const ORDER_KEY = 'bookish_lookup_providers';
+const DEFAULT_ORDER = ['netlify', 'vercel', 'openlibrary', 'googlebooks'];
+const TIMEOUT_MS = 8000;
+
+// ── HTTP ──────────────────────────────────────────────────────────────────────
+
+/**
+ * GET a URL as JSON, giving up after TIMEOUT_MS
+ */
+async function fetchJSON(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return response.status === 404 ? null : await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function httpsUrl(url) {
+  return url ? String(url).replace(/^http:/i, 'https:') : '';
+}
+
+// ── Providers ─────────────────────────────────────────────────────────────────
+
+/**
+ * This site's own /api/lookup Netlify function — merges Google Books and
+ * Open Library server-side and caches the result in Supabase, so asking
+ * those (or the Vercel API, which uses the same two) again adds nothing
+ */
+const netlifyProvider = {
+  id: 'netlify',
+  name: 'Bookish',
+  covers: ['vercel', 'openlibrary', 'googlebooks'],
+  async lookup(isbn) {
+    const result = await fetchJSON(`/api/lookup?isbn=${encodeURIComponent(isbn)}`);
+    return result?.success && result.book ? result.book : null;
+  }
+};
+
+/**
+ * The original Bookish lookup API on Vercel (Google Books, then Open Library)
+ */
+const vercelProvider = {
+  id: 'vercel',
+  name: 'Bookish API',
+  async lookup(isbn) {
+    const result = await fetchJSON(`https://bookish-isbn-api.vercel.app/api/lookup?isbn=${encodeURIComponent(isbn)}`);
+    return result?.success && result.book ? result.book : null;
+  }
+};
+
+/**
+ * Open Library's Books API — no key, good covers, sometimes sparse
+ */
+const openLibraryProvider = {
+  id: 'openlibrary',
+  name: 'Open Library',
+  async lookup(isbn) {
+    const key = `ISBN:${isbn}`;
+    const [data, edition] = await Promise.all([
+      fetchJSON(
+        `https://openlibrary.org/api/books?bibkeys=${encodeURIComponent(key)}&format=json&jscmd=data`
+      ),
+      // The Books API leaves series out; the edition record has it
+      fetchJSON(`https://openlibrary.org/isbn/${encodeURIComponent(isbn)}.json`).catch(() => null)
+    ]);
+    const book = data?.[key];
+    if (!book) return null;
+
+    return {
+      title: book.title,
+      authors: (book.authors || []).map(author => author.name),
+      isbn: book.identifiers?.isbn_13?.[0] || book.identifiers?.isbn_10?.[0] || isbn,
+      publicationDate: book.publish_date,
+      coverUrl: httpsUrl(book.cover?.large || book.cover?.medium),
+      series: edition?.series,
+      categories: (book.subjects || []).map(subject => subject.name)
+    };
+  }
+};
+
+/**
+ * Google Books volumes search — no key needed at Bookish's volume
+ */
+const googleBooksProvider = {
+  id: 'googlebooks',
+  name: 'Google Books',
+  async lookup(isbn) {
+    const data = await fetchJSON(
+      `https://www.googleapis.com/books/v1/volumes?q=isbn:${encodeURIComponent(isbn)}`
+    );
+    const info = data?.items?.[0]?.volumeInfo;
+    if (!info) return null;
+
+    const identifiers = info.industryIdentifiers || [];
+    const seriesId = info.seriesInfo?.volumeSeries?.[0]?.seriesId;
+    return {
+      title: info.title,
+      authors: info.authors || [],
+      isbn: identifiers.find(id => id.type === 'ISBN_13')?.identifier || isbn,
+      publicationDate: info.publishedDate,
+      coverUrl: httpsUrl(info.imageLinks?.thumbnail || info.imageLinks?.smallThumbnail),
+      series: seriesId ? await googleSeriesName(seriesId) : '',
+      seriesPosition: info.seriesInfo?.bookDisplayNumber,
+      categories: info.categories || []
+    };
+  }
+};
+
+/**
+ * A Google Books series name — volumes only carry the series id
+ */
+async function googleSeriesName(seriesId) {
+  try {
+    const data = await fetchJSON(
+      `https://www.googleapis.com/books/v1/series/get?series_id=${encodeURIComponent(seriesId)}`
+    );
+    return data?.series?.[0]?.title || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * A provider that answers from a fixed set of records, for tests and
+ * offline demos: createFixtureProvider({ '9780316129084': { title, … } })
+ */
+export function createFixtureProvider(records, { id = 'fixture', name = 'Fixture', covers = [] } = {}) {
+  const byIsbn = new Map(
+    Object.entries(records).map(([isbn, record]) => [isbn.replace(/[-\s]/g, ''), record])
+  );
+  return {
+    id,
+    name,
+    covers,
+    async lookup(isbn) {
+      const record = byIsbn.get(String(isbn).replace(/[-\s]/g, ''));
+      return record ? { isbn, ...record } : null;
+    }
+  };
+}
+
+const providers = new Map(
+  [netlifyProvider, vercelProvider, openLibraryProvider, googleBooksProvider].map(p => [p.id, p])
+);
+
+/**
+ * Add (or replace) a provider; include its id in the order to use it
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+// ── Configuration ─────────────────────────────────────────────────────────────
+
+/**
+ * Provider ids in priority order
+ * Saved per device, e.g. localStorage 'bookish_lookup_providers' =
+ * "openlibrary,googlebooks"; unknown ids are skipped.
+ */
+export function getProviderOrder() {
+  let saved = '';
+  try {
+    saved = localStorage.getItem(ORDER_KEY) || '';
+  } catch (error) {
+    // Storage unavailable (private mode) — use the default
+  }
+  const order = saved.split(',').map(id => id.trim()).filter(id => providers.has(id));
+  return order.length > 0 ? order : [...DEFAULT_ORDER];
+}
+
+/**
+ * Change the priority order (null restores the default)
+ */
+export function setProviderOrder(ids) {
+  if (!ids) {
+    localStorage.removeItem(ORDER_KEY);
+  } else {
+    localStorage.setItem(ORDER_KEY, ids.join(','));
+  }
+}
+
+// ── Merging ───────────────────────────────────────────────────────────────────
+
+/**
+ * Series from a record — either separate name/position fields or a
+ * single string such as "The Expanse #1" (Open Library edition records
+ * send a list of strings like "The Expanse ; 1"; the first is used)
+ */
+function seriesFromRecord(record) {
+  const raw = Array.isArray(record.series) ? record.series[0] : record.series;
+  if (!raw) return { series: '', seriesPosition: null };
+
+  const parsed = parseSeries(raw);
+  const position = normalizeSeriesPosition(record.seriesPosition ?? record.series_position);
+  return {
+    series: parsed.series,
+    seriesPosition: position ?? parsed.seriesPosition
+  };
+}
+
+/**
+ * Authors and other contributors from a record
+ * `authors` may be a list of names or of { name, role }
+ */
+function contributorsFromRecord(record) {
+  const contributors = normalizeContributors(
+    (Array.isArray(record.authors) ? record.authors : [])
+      .map(entry => (typeof entry === 'string' ? { name: entry, role: 'author' } : entry))
+  );
+  const authors = contributors.filter(c => c.role === 'author').map(c => c.name);
+  return {
+    author: formatNames(authors) || record.author || '',
+    contributors
+  };
+}
+
+/**
+ * Fields merged from provider records: each is taken whole from the
+ * first provider that has it, judged by the first value the extractor
+ * returns (so authors and contributors travel together, as do series
+ * name and number)
+ */
+const MERGED_FIELDS = {
+  title: record => ({ title: String(record.title ?? '').trim() }),
+  authors: contributorsFromRecord,
+  isbn: record => ({ isbn: String(record.isbn ?? '').trim() }),
+  publicationDate: record => ({ publicationDate: String(record.publicationDate ?? '').trim() }),
+  coverUrl: record => ({ coverUrl: httpsUrl(String(record.coverUrl ?? '').trim()) }),
+  series: seriesFromRecord,
+  categories: record => ({
+    categories: (Array.isArray(record.categories) ? record.categories : []).filter(Boolean)
+  })
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Once these are all known, later providers aren't asked
+const CORE_FIELDS = ['title', 'authors', 'coverUrl', 'publicationDate'];
+
+function hasCoreFields(answers) {
+  return CORE_FIELDS.every(field => answers.some(({ record }) => {
+    return !isEmpty(Object.values(MERGED_FIELDS[field](record))[0]);
+  }));
+}
+
+/**
+ * Merge provider answers in priority order
+ * @param {Array} answers - [{ provider, record }] in priority order
+ * @returns {Object|null} book data with `sources` ({ field: provider id },
+ *   keyed like MERGED_FIELDS) and `source` (names of the providers used),
+ *   or null if none had a title
+ */
+export function mergeRecords(answers) {
+  const book = {};
+  const sources = {};
+
+  Object.entries(MERGED_FIELDS).forEach(([field, extract]) => {
+    for (const { provider, record } of answers) {
+      const values = extract(record);
+      if (isEmpty(Object.values(values)[0])) continue;
+      Object.assign(book, values);
+      sources[field] = provider.id;
+      break;
+    }
+  });
+
+  if (!book.title) return null;
+
+  const used = answers.filter(({ provider }) => Object.values(sources).includes(provider.id));
+  return {
+    title: '',
+    author: '',
+    contributors: [],
+    isbn: '',
+    publicationDate: '',
+    coverUrl: '',
+    series: '',
+    seriesPosition: null,
+    categories: [],
+    ...book,
+    sources,
+    source: used.map(({ provider }) => provider.name).join(' + ')
+  };
+}
+
+// ── Lookup ────────────────────────────────────────────────────────────────────
+
+/**
+ * Ask providers in order until the core fields are known, then merge
+ * Providers covered by one that has answered are skipped.
+ * @param {string} isbn - digits only
+ * @param {Object} options - { order } to override the configured order
+ * @returns {Promise<Object|null>} merged book data, or null if nobody knows it
+ * @throws if every provider failed (rather than answering "not found")
+ */
+export async function lookupWithProviders(isbn, { order = getProviderOrder() } = {}) {
+  const chain = order.map(id => providers.get(id)).filter(Boolean);
+  if (chain.length === 0) {
+    throw new Error('No ISBN providers configured');
+  }
+
+  const answers = [];
+  const failures = [];
+  const covered = new Set();
+  for (const provider of chain) {
+    if (covered.has(provider.id)) continue;
+    try {
+      const record = await provider.lookup(isbn);
+      if (record) answers.push({ provider, record });
+      (provider.covers || []).forEach(id => covered.add(id));
+    } catch (error) {
+      console.warn(`ISBN provider ${provider.id} failed:`, error);
+      failures.push(provider.id);
+    }
+    if (hasCoreFields(answers)) break;
+  }
+
+  if (answers.length === 0 && failures.length === chain.length) {
+    throw new Error(`All ISBN providers failed (${failures.join(', ')})`);
+  }
+
+  return mergeRecords(answers);
+}
@@ -0,0 +1,67 @@
+/**
+ * BOOKISH LIBRARY - PWA MODULE
+ * Registers the service worker and offers a reload when a new build is ready
+ */
+
+import { showToast } from './utils.js';
+
+let reloadRequested = false;
+
+/**
+ * Register the service worker and watch for updates
+ */
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  // Reload once the new worker has taken over (only if the user asked)
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!reloadRequested) return;
+    reloadRequested = false;
+    window.location.reload();
+  });
+
+  try {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+
+    // An update finished installing on a previous visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      promptUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener('statechange', () => {
+        // No controller means this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          promptUpdate(worker);
+        }
+      });
+    });
+
+    // Installed PWAs stay open for days — check again whenever it's resumed
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        registration.update().catch(() => {});
+      }
+    });
+
+    console.log('Service worker registered');
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+  }
+}
+
+/**
+ * Show the "update available" toast for a waiting worker
+ */
+function promptUpdate(worker) {
+  showToast('✨ Update available', 0, {
+    label: 'Reload',
+    onClick: () => {
+      reloadRequested = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+  });
+}
@@ -0,0 +1,372 @@
+/**
+ * BOOKISH LIBRARY - SEARCH
+ * Typo-tolerant, ranked search over the library, fast enough to run on
+ * every keystroke. Text is folded (lower case, accents removed, so
+ * "Márquez" = "marquez") and split into words; each query word has to
+ * match a word in the book exactly, as a prefix, or within one or two
+ * typos. Matches in the title count most, then authors, series, tags,
+ * genre and notes.
+ *
+ * Qualifiers narrow the search to one field:
+ *   author:woolf  title:lighthouse  series:expanse  genre:"science fiction"
+ *   tag:book-club  shelf:nightstand  status:unread  format:kindle
+ *   type:nonfiction  notes:gift  isbn:978…  rating:4 (4 or more; also <3, >=4.5)
+ */
+
+import { toISBN13 } from './isbn.js';
+
+// ── Text folding ──────────────────────────────────────────────────────────────
+
+/**
+ * Lower-case, strip accents and turn punctuation into spaces
+ */
+export function foldText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(value) {
+  const folded = foldText(value);
+  return folded ? folded.split(' ') : [];
+}
+
+// ── Query parsing ─────────────────────────────────────────────────────────────
+
+// Qualifier name → the indexed field it searches
+const QUALIFIERS = {
+  title: 'title',
+  author: 'author',
+  by: 'author',
+  series: 'series',
+  genre: 'genre',
+  tag: 'tags',
+  tags: 'tags',
+  shelf: 'shelves',
+  notes: 'notes',
+  type: 'type',
+  status: 'status',
+  format: 'format',
+  isbn: 'isbn',
+  rating: 'rating'
+};
+
+/**
+ * Split a query into free-text terms and field qualifiers
+ * `genre:"science fiction"` and `"exact phrase"` keep their spaces;
+ * an unknown prefix such as "Wars:" is treated as ordinary text.
+ * @returns {Object} { terms: [{ text, phrase }], qualifiers: [{ field, value }] }
+ */
+export function parseQuery(query) {
+  const terms = [];
+  const qualifiers = [];
+  const pattern = /([a-z]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/gi;
+
+  for (const match of String(query ?? '').matchAll(pattern)) {
+    const [whole, name, quotedValue, value, phrase, word] = match;
+
+    if (name !== undefined) {
+      const field = QUALIFIERS[name.toLowerCase()];
+      const fieldValue = (quotedValue ?? value ?? '').trim();
+      if (field) {
+        // "author:" with nothing after it yet (still typing) is ignored
+        if (fieldValue) qualifiers.push({ field, value: fieldValue });
+        continue;
+      }
+      terms.push({ text: whole, phrase: false });
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) terms.push({ text: phrase, phrase: true });
+    } else {
+      terms.push({ text: word, phrase: false });
+    }
+  }
+
+  return { terms, qualifiers };
+}
+
+// ── Index ─────────────────────────────────────────────────────────────────────
+
+// How much a match in each field counts towards the ranking
+const FIELD_WEIGHTS = {
+  title: 3,
+  author: 2.5,
+  series: 2,
+  tags: 1.5,
+  shelves: 1.5,
+  genre: 1,
+  type: 0.5,
+  notes: 0.5
+};
+const FIELD_ENTRIES = Object.entries(FIELD_WEIGHTS);
+const TOP_WEIGHT = Math.max(...Object.values(FIELD_WEIGHTS));
+
+// Books are replaced (not mutated) when edited, so an entry per object
+// stays valid for as long as that object is in the library
+const documents = new WeakMap();
+
+// Every distinct word seen gets a number; documents store numbers so a
+// search can keep its per-word scores in a plain array
+const vocabulary = new Map();
+const vocabularyWords = [];
+
+function wordId(word) {
+  let id = vocabulary.get(word);
+  if (id === undefined) {
+    id = vocabularyWords.length;
+    vocabulary.set(word, id);
+    vocabularyWords.push(word);
+  }
+  return id;
+}
+
+function field(value) {
+  return { text: foldText(value), tokens: tokenize(value).map(wordId) };
+}
+
+/**
+ * Every distinct word in the weighted fields, with the weight of the best
+ * field it appears in — free-text words are scored against these
+ * @returns {Object} { ids, weights }
+ */
+function weightedWords(doc) {
+  const best = new Map();
+  for (const [name, weight] of FIELD_ENTRIES) {
+    for (const id of doc[name].tokens) {
+      if (!(best.get(id) >= weight)) best.set(id, weight);
+    }
+  }
+  return { ids: Array.from(best.keys()), weights: Array.from(best.values()) };
+}
+
+function getDocument(book) {
+  let doc = documents.get(book);
+  if (!doc) {
+    doc = {
+      title: field(book.title),
+      author: field((book.contributors || []).map(c => c.name).join(' ') || book.author),
+      series: field(book.series),
+      tags: field((book.tags || []).join(' ')),
+      shelves: field((book.shelves || []).join(' ')),
+      genre: field(book.genre),
+      type: field(book.fictionType),
+      notes: field([book.notes, book.review].filter(Boolean).join(' ')),
+      isbn: String(book.isbn ?? '').replace(/[^0-9Xx]/g, '').toUpperCase(),
+      isbn13: book.isbn13 || ''
+    };
+    doc.words = weightedWords(doc);
+    documents.set(book, doc);
+  }
+  return doc;
+}
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+let rows = [new Int32Array(32), new Int32Array(32), new Int32Array(32)];
+
+/**
+ * Optimal string alignment distance (a transposition counts as one edit),
+ * giving up as soon as it must exceed `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  // Three rolling rows, reused between calls (words are short)
+  const width = b.length + 1;
+  if (rows[0].length < width) rows = rows.map(() => new Int32Array(width * 2));
+  let [prevPrev, prev, row] = rows;
+  for (let j = 0; j < width; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    row[0] = i;
+    let rowMin = i;
+    for (let j = 1; j < width; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > max) return max + 1;
+    [prevPrev, prev, row] = [prev, row, prevPrev];
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * How well a book word matches a query word: 1 exact, 0.8 prefix,
+ * 0.5 within the typo allowance, 0.4 a typo'd prefix, 0 no match
+ */
+function scoreToken(query, token) {
+  if (token === query) return 1;
+  if (token.startsWith(query)) return 0.8;
+
+  // Short words must be typed exactly; longer ones allow 1–2 typos
+  if (query.length < 4) return 0;
+  const allowed = query.length >= 8 ? 2 : 1;
+  if (editDistance(query, token, allowed) <= allowed) return 0.5;
+  if (token.length > query.length && editDistance(query, token.slice(0, query.length), 1) <= 1) return 0.4;
+  return 0;
+}
+
+/**
+ * Memoised scoreToken for one query word, taking a word id — the same
+ * book words recur across thousands of books, so each is only compared
+ * once per search
+ */
+function tokenMatcher(query) {
+  const cache = new Float32Array(vocabularyWords.length).fill(-1);
+  return id => {
+    if (id >= cache.length) return scoreToken(query, vocabularyWords[id]);
+    let score = cache[id];
+    if (score < 0) {
+      score = scoreToken(query, vocabularyWords[id]);
+      cache[id] = score;
+    }
+    return score;
+  };
+}
+
+/**
+ * Best score for every query word within one field's words
+ * Every query word must match (0 otherwise).
+ */
+function scoreWords(matchers, tokens) {
+  let total = 0;
+  for (const matcher of matchers) {
+    let best = 0;
+    for (const token of tokens) {
+      const score = matcher(token);
+      if (score > best) best = score;
+      if (best === 1) break;
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+}
+
+/**
+ * `rating:4` means 4 or more; `<`, `<=`, `>`, `>=` and `=` are also accepted
+ */
+function ratingTest(value) {
+  const match = value.match(/^(<=|>=|<|>|=)?\s*(\d+(?:\.\d+)?)$/);
+  if (!match) return () => false;
+  const [, op = '>=', number] = match;
+  const target = parseFloat(number);
+  return rating => {
+    if (!rating) return false;
+    switch (op) {
+      case '<': return rating < target;
+      case '<=': return rating <= target;
+      case '>': return rating > target;
+      case '=': return rating === target;
+      default: return rating >= target;
+    }
+  };
+}
+
+/**
+ * Turn qualifiers into a single test on (book, doc)
+ */
+function qualifierTest(qualifiers) {
+  const tests = qualifiers.map(({ field: name, value }) => {
+    const folded = foldText(value);
+
+    switch (name) {
+      case 'status':
+        return book => book.status === folded;
+      case 'format':
+        return book => (book.formats || []).some(format => format.startsWith(folded));
+      case 'isbn': {
+        // A full ISBN in either form finds the book stored in the other
+        const digits = value.replace(/[^0-9Xx]/g, '').toUpperCase();
+        const isbn13 = toISBN13(digits);
+        return (book, doc) => Boolean(digits) &&
+          (doc.isbn.startsWith(digits) || (Boolean(isbn13) && doc.isbn13 === isbn13));
+      }
+      case 'rating': {
+        const test = ratingTest(value.trim());
+        return book => test(book.rating);
+      }
+      default: {
+        // Text fields: every word of the value must match a word in the field
+        const matchers = tokenize(value).map(tokenMatcher);
+        return (book, doc) => matchers.length > 0 && scoreWords(matchers, doc[name].tokens) > 0;
+      }
+    }
+  });
+
+  return (book, doc) => tests.every(test => test(book, doc));
+}
+
+// ── Search ────────────────────────────────────────────────────────────────────
+
+/**
+ * Filter and rank books by a query
+ * With free-text terms the result is best match first; with only
+ * qualifiers (or nothing) the books keep their order.
+ * @param {Array} books - canonical books
+ * @param {string} query - e.g. `woolf status:unread "to the lighthouse"`
+ * @returns {Array} matching books
+ */
+export function searchBooks(books, query) {
+  const { terms, qualifiers } = parseQuery(query);
+  if (terms.length === 0 && qualifiers.length === 0) return books;
+
+  // Index first, so the matchers below know every word in the library
+  const docs = books.map(getDocument);
+
+  const passesQualifiers = qualifierTest(qualifiers);
+  const words = terms.filter(term => !term.phrase).flatMap(term => tokenize(term.text));
+  const matchers = words.map(tokenMatcher);
+  const phrases = terms.filter(term => term.phrase).map(term => foldText(term.text)).filter(Boolean);
+  const freeText = foldText(terms.map(term => term.text).join(' '));
+
+  const results = [];
+
+  books.forEach((book, index) => {
+    const doc = docs[index];
+    if (!passesQualifiers(book, doc)) return;
+
+    let score = 0;
+
+    // Each word scores in the field where it matches best
+    const { ids, weights } = doc.words;
+    for (const matcher of matchers) {
+      let best = 0;
+      for (let i = 0; i < ids.length; i++) {
+        if (weights[i] <= best) continue;
+        const wordScore = matcher(ids[i]) * weights[i];
+        if (wordScore > best) best = wordScore;
+        if (best === TOP_WEIGHT) break;
+      }
+      if (best === 0) return;
+      score += best;
+    }
+
+    // Quoted phrases must appear as written (after folding)
+    for (const phrase of phrases) {
+      const name = FIELD_ENTRIES.map(([key]) => key).find(key => doc[key].text.includes(phrase));
+      if (!name) return;
+      score += FIELD_WEIGHTS[name] * 1.5;
+    }
+
+    // Typing the start of a title (or the whole thing) puts it first
+    if (freeText && doc.title.text.startsWith(freeText)) {
+      score += doc.title.text === freeText ? 4 : 2;
+    }
+
+    results.push({ book, score, index });
+  });
+
+  if (terms.length > 0) {
+    results.sort((a, b) => b.score - a.score || a.index - b.index);
+  }
+  return results.map(result => result.book);
+}
@@ -0,0 +1,202 @@
+/**
+ * Bookish — Series
+ * Bottom-sheet view of every series in the library: volumes in order,
+ * what's been read, and which volume numbers are missing. Also works out
+ * the next unread volume of series in progress, which Discover shows
+ * without asking the recommender.
+ */
+
+import { dataStore } from './data.js';
+import { formatSeries } from './book.js';
+import { escapeHtml } from './utils.js';
+
+// ── DOM helpers ───────────────────────────────────────────────────────────────
+const $ = id => document.getElementById(id);
+
+// ── Computation ───────────────────────────────────────────────────────────────
+
+/**
+ * Volume order; books without a position go last, by title
+ */
+function byPosition(a, b) {
+  const aPos = a.seriesPosition ?? Infinity;
+  const bPos = b.seriesPosition ?? Infinity;
+  if (aPos !== bPos) return aPos - bPos;
+  return a.title.localeCompare(b.title);
+}
+
+/**
+ * Whole volume numbers from 1 to the highest owned that aren't in the library
+ * (novellas like 2.5 and prequels numbered 0 never count as gaps)
+ */
+function findMissing(volumes) {
+  const positions = new Set(volumes.map(book => book.seriesPosition).filter(p => p !== null));
+  const highest = Math.floor(Math.max(0, ...positions));
+  const missing = [];
+  for (let n = 1; n < highest; n++) {
+    if (!positions.has(n)) missing.push(n);
+  }
+  return missing;
+}
+
+/**
+ * The unread volume that follows the furthest one read or being read
+ * Null if the series hasn't been started, or the next volume isn't owned.
+ */
+function findNext(volumes, missing) {
+  const started = volumes.filter(book => book.status !== 'unread' && book.seriesPosition !== null);
+  if (started.length === 0) return null;
+
+  const last = started[started.length - 1];
+  const next = volumes.find(book =>
+    book.status === 'unread' &&
+    book.seriesPosition !== null &&
+    book.seriesPosition > last.seriesPosition
+  );
+  if (!next) return null;
+
+  // A gap before it means the real next volume isn't in the library
+  const gap = missing.some(n => n > last.seriesPosition && n < next.seriesPosition);
+  return gap ? null : { book: next, after: last };
+}
+
+/**
+ * Group books by series name (case-insensitive), A–Z
+ * @returns {Array} [{ name, volumes, read, reading, missing, next }]
+ */
+export function groupSeries(books) {
+  const groups = new Map();
+  books.forEach(book => {
+    if (!book.series) return;
+    const key = book.series.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { name: book.series, volumes: [] });
+    groups.get(key).volumes.push(book);
+  });
+
+  return Array.from(groups.values())
+    .map(({ name, volumes }) => {
+      volumes.sort(byPosition);
+      const missing = findMissing(volumes);
+      return {
+        name,
+        volumes,
+        read: volumes.filter(book => book.status === 'read').length,
+        reading: volumes.filter(book => book.status === 'reading').length,
+        missing,
+        next: findNext(volumes, missing)
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Next owned, unread volume of every series in progress
+ * @returns {Array} [{ series, book, after }]
+ */
+export function getNextInSeries(books) {
+  return groupSeries(books)
+    .filter(group => group.next)
+    .map(group => ({ series: group.name, ...group.next }));
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+const STATUS_ICONS = {
+  read: '✓',
+  reading: '📖',
+  unread: '○'
+};
+
+function renderVolume(book) {
+  const position = book.seriesPosition !== null ? `#${book.seriesPosition}` : '—';
+  return `
+    <li>
+      <button type="button" class="series-volume series-volume-${book.status}" data-book-id="${escapeHtml(book.id)}">
+        <span class="series-volume-position">${position}</span>
+        <span class="series-volume-title">${escapeHtml(book.title)}</span>
+        <span class="series-volume-status" title="${escapeHtml(book.status)}">${STATUS_ICONS[book.status] || ''}</span>
+      </button>
+    </li>
+  `;
+}
+
+function renderMissing(position) {
+  return `
+    <li class="series-volume series-volume-missing">
+      <span class="series-volume-position">#${position}</span>
+      <span class="series-volume-title">Not in your library</span>
+    </li>
+  `;
+}
+
+function renderGroup(group) {
+  // Owned volumes and gaps, interleaved in volume order
+  const items = [
+    ...group.volumes.map(book => ({ position: book.seriesPosition ?? Infinity, html: renderVolume(book) })),
+    ...group.missing.map(n => ({ position: n, html: renderMissing(n) }))
+  ].sort((a, b) => a.position - b.position);
+
+  const summary = [
+    `${group.read} of ${group.volumes.length} read`,
+    group.reading ? `${group.reading} reading` : '',
+    group.missing.length ? `${group.missing.length} missing` : ''
+  ].filter(Boolean).join(' · ');
+
+  const next = group.next
+    ? `<p class="series-next">Next up: ${escapeHtml(formatSeries(group.next.book))} — ${escapeHtml(group.next.book.title)}</p>`
+    : '';
+
+  return `
+    <section class="stats-section">
+      <h3>${escapeHtml(group.name)}</h3>
+      <p class="series-summary">${summary}</p>
+      ${next}
+      <ul class="series-volumes">${items.map(item => item.html).join('')}</ul>
+    </section>
+  `;
+}
+
+function renderSeries(groups) {
+  if (groups.length === 0) {
+    return '<p class="stats-empty">No series yet — add a series name when editing a book.</p>';
+  }
+  return groups.map(renderGroup).join('');
+}
+
+// ── Open / close ──────────────────────────────────────────────────────────────
+let onSelectBook = null;
+
+export function openSeries() {
+  $('seriesBody').innerHTML = renderSeries(groupSeries(dataStore.getAllBooks()));
+  $('seriesBackdrop').classList.add('open');
+  $('seriesSheet').classList.add('open');
+}
+
+export function closeSeries() {
+  $('seriesBackdrop').classList.remove('open');
+  $('seriesSheet').classList.remove('open');
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+/**
+ * @param {Object} options - { onSelectBook } called with a book when a volume is tapped
+ */
+export function initSeries(options = {}) {
+  onSelectBook = options.onSelectBook || null;
+
+  $('seriesBtn')?.addEventListener('click', openSeries);
+  $('seriesBackdrop')?.addEventListener('click', closeSeries);
+  $('seriesClose')?.addEventListener('click', closeSeries);
+
+  $('seriesBody')?.addEventListener('click', e => {
+    const volume = e.target.closest('[data-book-id]');
+    const book = volume && dataStore.getBookById(volume.dataset.bookId);
+    if (!book || !onSelectBook) return;
+    closeSeries();
+    onSelectBook(book);
+  });
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && $('seriesSheet')?.classList.contains('open')) closeSeries();
+  });
+}
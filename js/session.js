@@ -0,0 +1,77 @@
+/**
+ * BOOKISH LIBRARY - READING SESSION MODEL
+ * One row per read of a book (start/finish dates), mapped to the
+ * reading_sessions table
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Canonical field → reading_sessions column
+ */
+const COLUMNS = {
+  id: 'id',
+  userId: 'user_id',
+  bookId: 'book_id',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at',
+  abandoned: 'abandoned',
+  createdAt: 'created_at'
+};
+
+/**
+ * Convert a reading_sessions row into a canonical session
+ */
+export function fromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    bookId: row.book_id,
+    startedAt: row.started_at || '',
+    finishedAt: row.finished_at || '',
+    abandoned: Boolean(row.abandoned),
+    createdAt: row.created_at || ''
+  };
+}
+
+/**
+ * Convert a canonical session into a reading_sessions row
+ * Empty dates become null so they fit a `date` column.
+ */
+export function toRow(session) {
+  const row = {};
+  Object.entries(COLUMNS).forEach(([field, column]) => {
+    if (session[field] === undefined) return;
+    row[column] = session[field] === '' ? null : session[field];
+  });
+  return row;
+}
+
+/**
+ * True while a session has been started but not finished or abandoned
+ */
+export function isOpen(session) {
+  return !session.finishedAt && !session.abandoned;
+}
+
+/**
+ * Whole days from start to finish (a same-day read counts as 1)
+ * Open sessions are measured up to today; returns null without a start date.
+ */
+export function durationDays(session, today = new Date()) {
+  if (!session.startedAt) return null;
+
+  const start = new Date(session.startedAt);
+  const end = session.finishedAt ? new Date(session.finishedAt) : today;
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
+
+  return Math.max(1, Math.round((end - start) / DAY_MS));
+}
+
+/**
+ * Sort sessions oldest first (by start, falling back to finish/creation)
+ */
+export function sortSessions(sessions) {
+  const key = s => s.startedAt || s.finishedAt || s.createdAt || '';
+  return [...sessions].sort((a, b) => key(a).localeCompare(key(b)));
+}
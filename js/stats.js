@@ -0,0 +1,209 @@
+/**
+ * Bookish — Reading statistics
+ * Bottom-sheet dashboard computed from the library and reading sessions.
+ * Charts are plain SVG (see charts.js) so it works offline.
+ */
+
+import { dataStore } from './data.js';
+import { durationDays } from './session.js';
+import { columnChart, barChart, donutChart } from './charts.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_LABELS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+const TOP_GENRES = 8;
+
+// ── DOM helpers ───────────────────────────────────────────────────────────────
+const $ = id => document.getElementById(id);
+
+// ── Computation ───────────────────────────────────────────────────────────────
+
+/**
+ * Count items by a key, returning [{ label, value }] sorted by count
+ */
+function countBy(items, keyFn) {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (!key) return;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return Array.from(counts, ([label, value]) => ({ label, value }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Completed (not abandoned) sessions with a finish date
+ */
+export function getFinishedSessions(sessions) {
+  return sessions.filter(session => session.finishedAt && !session.abandoned);
+}
+
+/**
+ * Compute every figure the dashboard shows
+ * @param {Array} books - canonical books
+ * @param {Array} sessions - reading sessions
+ * @param {Date} today
+ */
+export function computeStats(books, sessions, today = new Date()) {
+  const finished = getFinishedSessions(sessions);
+
+  // Books finished per month — the trailing 12 months
+  const perMonth = [];
+  for (let i = 11; i >= 0; i--) {
+    const month = new Date(today.getFullYear(), today.getMonth() - i, 1);
+    const key = `${month.getFullYear()}-${String(month.getMonth() + 1).padStart(2, '0')}`;
+    perMonth.push({
+      label: MONTH_LABELS[month.getMonth()],
+      value: finished.filter(s => s.finishedAt.startsWith(key)).length
+    });
+  }
+
+  // Books finished per year — every year with a finish, oldest first
+  const perYear = countBy(finished, s => s.finishedAt.slice(0, 4))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  // Average time to finish (sessions with both dates)
+  const durations = finished
+    .map(session => durationDays(session))
+    .filter(days => days !== null);
+  const averageDays = durations.length
+    ? Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length)
+    : null;
+
+  // Library make-up
+  const fictionSplit = countBy(books, b => b.fictionType);
+  const genres = countBy(books, b => b.genre);
+  const topGenres = genres.slice(0, TOP_GENRES);
+  const otherGenres = genres.slice(TOP_GENRES).reduce((sum, g) => sum + g.value, 0);
+  if (otherGenres > 0) topGenres.push({ label: 'Other', value: otherGenres });
+
+  const difficulty = ['Light', 'Moderate', 'Dense'].map(level => ({
+    label: level,
+    value: books.filter(b => b.difficulty === level).length
+  }));
+
+  const formats = [
+    { label: '📕 Physical', value: books.filter(b => b.formats.includes('physical')).length },
+    { label: '📱 Kindle', value: books.filter(b => b.formats.includes('kindle')).length },
+    { label: '🎧 Audible', value: books.filter(b => b.formats.includes('audible')).length }
+  ];
+
+  // Unread backlog and how long it's been waiting
+  const unread = books.filter(b => b.status === 'unread');
+  const ages = unread
+    .map(b => {
+      const since = new Date(b.acquiredDate || b.addedAt);
+      return isNaN(since.getTime()) ? null : Math.max(0, (today - since) / DAY_MS);
+    })
+    .filter(age => age !== null);
+  const backlogAges = [
+    { label: '< 1 month', test: d => d < 30 },
+    { label: '1–6 months', test: d => d >= 30 && d < 182 },
+    { label: '6–12 months', test: d => d >= 182 && d < 365 },
+    { label: '1–2 years', test: d => d >= 365 && d < 730 },
+    { label: '2+ years', test: d => d >= 730 }
+  ].map(({ label, test }) => ({ label, value: ages.filter(test).length }));
+  const sortedAges = [...ages].sort((a, b) => a - b);
+  const medianBacklogDays = sortedAges.length
+    ? Math.round(sortedAges[Math.floor(sortedAges.length / 2)])
+    : null;
+
+  return {
+    totalBooks: books.length,
+    totalFinished: finished.length,
+    finishedThisYear: finished.filter(s => s.finishedAt.startsWith(String(today.getFullYear()))).length,
+    perMonth,
+    perYear,
+    averageDays,
+    fictionSplit,
+    genres: topGenres,
+    difficulty,
+    formats,
+    unreadCount: unread.length,
+    backlogAges,
+    medianBacklogDays
+  };
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+/**
+ * Describe a number of days as days/months/years
+ */
+function formatAge(days) {
+  if (days === null) return '—';
+  if (days < 60) return `${days} day${days !== 1 ? 's' : ''}`;
+  if (days < 730) return `${Math.round(days / 30)} months`;
+  return `${(days / 365).toFixed(1)} years`;
+}
+
+function section(title, body, empty = 'Nothing to show yet') {
+  return `
+    <section class="stats-section">
+      <h3>${title}</h3>
+      ${body || `<p class="stats-empty">${empty}</p>`}
+    </section>
+  `;
+}
+
+function renderStats(stats) {
+  const tiles = [
+    { value: stats.finishedThisYear, label: `read in ${new Date().getFullYear()}` },
+    { value: stats.totalFinished, label: 'reads logged' },
+    { value: stats.averageDays === null ? '—' : stats.averageDays, label: 'avg days to finish' },
+    { value: stats.unreadCount, label: 'unread backlog' }
+  ];
+
+  const tilesHtml = `
+    <div class="stats-tiles">
+      ${tiles.map(t => `
+        <div class="stats-tile">
+          <span class="stats-tile-value">${t.value}</span>
+          <span class="stats-tile-label">${t.label}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  const hasMonthly = stats.perMonth.some(m => m.value > 0);
+
+  return [
+    tilesHtml,
+    section('Finished per month', hasMonthly ? columnChart(stats.perMonth) : '',
+      'Finish a book to start the chart — dates are logged when status changes to Read.'),
+    section('Finished per year', columnChart(stats.perYear)),
+    section('Fiction / Nonfiction', donutChart(stats.fictionSplit)),
+    section('Genres', barChart(stats.genres)),
+    section('Difficulty', barChart(stats.difficulty)),
+    section('Formats', barChart(stats.formats)),
+    section(
+      `Unread backlog · typical wait ${formatAge(stats.medianBacklogDays)}`,
+      stats.unreadCount ? barChart(stats.backlogAges) : '',
+      'No unread books — impressive!'
+    )
+  ].join('');
+}
+
+// ── Open / close ──────────────────────────────────────────────────────────────
+export function openStats() {
+  const stats = computeStats(dataStore.getAllBooks(), dataStore.sessions);
+  $('statsBody').innerHTML = renderStats(stats);
+  $('statsBackdrop').classList.add('open');
+  $('statsSheet').classList.add('open');
+}
+
+export function closeStats() {
+  $('statsBackdrop').classList.remove('open');
+  $('statsSheet').classList.remove('open');
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+export function initStats() {
+  $('statsBtn')?.addEventListener('click', openStats);
+  $('statsBackdrop')?.addEventListener('click', closeStats);
+  $('statsClose')?.addEventListener('click', closeStats);
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && $('statsSheet')?.classList.contains('open')) closeStats();
+  });
+}
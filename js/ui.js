@@ -3,37 +3,162 @@
  * Handles all UI rendering and updates
  */
 
-/**
- * Render books table
- * @param {boolean} selectMode - if true, renders a checkbox column
- */
-export function renderBooksTable(books, selectMode = false) {
-  const tbody = document.getElementById('booksTableBody');
-  if (!tbody) return;
-
-  if (books.length === 0) {
-    tbody.innerHTML = `
-      <tr>
-        <td colspan="${selectMode ? 6 : 5}" style="text-align: center; padding: 2rem; color: var(--text-light);">
-          No books found. Try adjusting your filters or add your first book!
-        </td>
-      </tr>
-    `;
-    return;
+import { toFormData, formatSeries, CONTRIBUTOR_ROLES } from './book.js';
+import { isOpen, durationDays } from './session.js';
+import { progressRing } from './charts.js';
+import { ChipInput } from './chips.js';
+import { renderCover } from './covers.js';
+import { VirtualList } from './virtual.js';
+import { escapeHtml } from './utils.js';
+
+// Tag and shelf inputs in the book form, created on first use
+let formChips = null;
+
+function getFormChips() {
+  if (!formChips) {
+    formChips = {
+      tags: new ChipInput(document.getElementById('bookTags'), {
+        placeholder: 'book club, re-read…'
+      }),
+      shelves: new ChipInput(document.getElementById('bookShelves'), {
+        placeholder: 'Nightstand, To lend…'
+      })
+    };
   }
+  return formChips;
+}
+
+// Virtual lists for the table and cover grid, created on first render
+let tableList = null;
+let gridList = null;
+
+// What the current render shows: select mode and which books are ticked
+const selection = {
+  selectMode: false,
+  selectedIds: new Set()
+};
+
+const selectionStamp = book =>
+  `${selection.selectMode}:${selection.selectedIds.has(book.id)}`;
 
-  tbody.innerHTML = books.map(book => `
-    <tr data-book-id="${book.id}">
+function renderTableRow(book) {
+  const selected = selection.selectedIds.has(book.id);
+  return `
+    <tr data-book-id="${book.id}" class="${selected ? 'selected' : ''}">
       <td class="select-cell">
-        ${selectMode ? `<input type="checkbox" data-book-id="${book.id}" />` : ''}
+        ${selection.selectMode ? `<input type="checkbox" data-book-id="${book.id}" ${selected ? 'checked' : ''} />` : ''}
       </td>
       <td>${escapeHtml(book.title)}</td>
-      <td>${escapeHtml(book.author)}</td>
+      <td>
+        ${renderAuthorLinks(book)}
+        ${book.contributors.some(c => c.role !== 'author')
+          ? `<span class="book-contributors">${escapeHtml(describeContributors(book.contributors, true))}</span>`
+          : ''}
+      </td>
       <td>${escapeHtml(book.genre)}</td>
       <td>${escapeHtml(book.status)}</td>
+      <td>${renderStars(book.rating)}</td>
       <td>${renderFormats(book.formats)}</td>
     </tr>
-  `).join('');
+  `;
+}
+
+/**
+ * Render books table
+ * Only rows near the screen are in the DOM (see virtual.js); calling this
+ * again with mostly the same books only re-renders the rows that changed.
+ * @param {boolean} selectMode - if true, renders a checkbox column
+ * @param {Set} selectedIds - ids of ticked books
+ */
+export function renderBooksTable(books, selectMode = false, selectedIds = new Set()) {
+  const tbody = document.getElementById('booksTableBody');
+  if (!tbody) return;
+
+  selection.selectMode = selectMode;
+  selection.selectedIds = selectedIds;
+
+  if (!tableList) {
+    tableList = new VirtualList(tbody, {
+      renderItem: renderTableRow,
+      getKey: book => book.id,
+      getStamp: selectionStamp,
+      createSpacer: () => '<tr class="virtual-spacer" aria-hidden="true"><td colspan="7"></td></tr>',
+      emptyHtml: `
+        <tr>
+          <td colspan="7" style="text-align: center; padding: 2rem; color: var(--text-light);">
+            No books found. Try adjusting your filters or add your first book!
+          </td>
+        </tr>
+      `,
+      estimatedRowHeight: 49
+    });
+  }
+
+  tableList.setItems(books);
+}
+
+const STATUS_BADGES = {
+  reading: '📖 Reading',
+  read: '✓ Read'
+};
+
+function renderGridItem(book) {
+  const selected = selection.selectedIds.has(book.id);
+  return `
+    <div class="grid-book ${selected ? 'selected' : ''}" data-book-id="${book.id}" role="button" tabindex="0"
+      aria-label="${escapeHtml(`${book.title} by ${book.author}`)}">
+      ${renderCover(book)}
+      ${selection.selectMode ? `<input type="checkbox" class="grid-select" data-book-id="${book.id}" tabindex="-1" ${selected ? 'checked' : ''} />` : ''}
+      ${STATUS_BADGES[book.status] ? `<span class="grid-book-status">${STATUS_BADGES[book.status]}</span>` : ''}
+      <span class="grid-book-title">${escapeHtml(book.title)}</span>
+      <span class="grid-book-author">${escapeHtml(book.author)}</span>
+      ${book.rating ? `<span class="grid-book-rating">${renderStars(book.rating)}</span>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render books as a grid of covers (virtualized like the table)
+ * @param {boolean} selectMode - if true, each cover gets a checkbox
+ * @param {Set} selectedIds - ids of ticked books
+ */
+export function renderBooksGrid(books, selectMode = false, selectedIds = new Set()) {
+  const grid = document.getElementById('booksGrid');
+  if (!grid) return;
+
+  selection.selectMode = selectMode;
+  selection.selectedIds = selectedIds;
+
+  if (!gridList) {
+    gridList = new VirtualList(grid, {
+      renderItem: renderGridItem,
+      getKey: book => book.id,
+      getStamp: selectionStamp,
+      createSpacer: () => '<div class="virtual-spacer" aria-hidden="true"></div>',
+      emptyHtml: '<p class="grid-empty">No books found. Try adjusting your filters or add your first book!</p>',
+      estimatedRowHeight: 260
+    });
+  }
+
+  gridList.setItems(books);
+}
+
+/**
+ * Show the table or the cover grid
+ * @param {string} layout - 'table' or 'grid'
+ */
+export function setLibraryLayout(layout) {
+  const grid = layout === 'grid';
+  document.getElementById('tableContainer')?.classList.toggle('hidden', grid);
+  document.getElementById('booksGrid')?.classList.toggle('hidden', !grid);
+  document.getElementById('gridSort')?.classList.toggle('hidden', !grid);
+
+  const toggle = document.getElementById('layoutToggle');
+  if (toggle) {
+    toggle.textContent = grid ? '☰ List' : '▦ Covers';
+    toggle.title = grid ? 'Show as a table' : 'Show as a grid of covers';
+    toggle.setAttribute('aria-pressed', String(grid));
+  }
 }
 
 /**
@@ -52,6 +177,52 @@ function renderFormats(formats) {
   }).join(' ');
 }
 
+/**
+ * Author names as buttons that open the author view: "A, B & C"
+ */
+function renderAuthorLinks(book) {
+  const names = book.contributors.filter(c => c.role === 'author').map(c => c.name);
+  const links = (names.length ? names : [book.author]).map(name =>
+    `<button type="button" class="author-link" data-author="${escapeHtml(name)}">${escapeHtml(name)}</button>`
+  );
+  if (links.length <= 1) return links[0] || '';
+  return `${links.slice(0, -1).join(', ')} &amp; ${links[links.length - 1]}`;
+}
+
+// Contributor roles other than author: [form label, detail sheet, table]
+const ROLE_LABELS = {
+  translator: ['Translator', 'Translated by', 'tr.'],
+  editor: ['Editor', 'Edited by', 'ed.'],
+  illustrator: ['Illustrator', 'Illustrated by', 'ill.'],
+  narrator: ['Narrator (Audible)', 'Narrated by', 'narr.'],
+  contributor: ['Other', 'With', 'with']
+};
+
+/**
+ * Non-author contributors grouped by role:
+ * "Translated by A · Narrated by B", or "tr. A · narr. B" when short
+ */
+function describeContributors(contributors, short = false) {
+  return CONTRIBUTOR_ROLES
+    .filter(role => role !== 'author')
+    .map(role => {
+      const names = contributors.filter(c => c.role === role).map(c => c.name);
+      return names.length ? `${ROLE_LABELS[role][short ? 2 : 1]} ${names.join(', ')}` : '';
+    })
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Render a 0.5–5 rating as stars, e.g. ★★★½ (empty when unrated)
+ */
+function renderStars(rating) {
+  if (!rating) return '';
+  const full = Math.floor(rating);
+  const half = rating % 1 ? '½' : '';
+  return `<span class="rating-stars" title="${rating} out of 5">${'★'.repeat(full)}${half}</span>`;
+}
+
 /**
  * Update counts
  */
@@ -65,6 +236,57 @@ export function updateCounts(shown, total) {
   if (bookCount) bookCount.textContent = `${total} book${total !== 1 ? 's' : ''}`;
 }
 
+/**
+ * Update the "N changes pending" badge next to the book count
+ * @param {number} pending - number of queued offline changes
+ * @param {boolean} online - current connectivity
+ */
+export function updatePendingIndicator(pending, online = true) {
+  const badge = document.getElementById('pendingChanges');
+  if (!badge) return;
+
+  if (pending > 0) {
+    badge.textContent = `${pending} change${pending !== 1 ? 's' : ''} pending`;
+  } else if (!online) {
+    badge.textContent = 'Offline';
+  } else {
+    badge.textContent = '';
+  }
+
+  badge.classList.toggle('hidden', !badge.textContent);
+  badge.classList.toggle('offline', !online);
+}
+
+/**
+ * Update the yearly goal ring in the header
+ * @param {Object|null} progress - from computeGoalProgress(), or null if no goal
+ */
+export function updateGoalRing(progress) {
+  const ring = document.getElementById('goalRing');
+  if (!ring) return;
+
+  if (!progress) {
+    ring.innerHTML = `${progressRing(0)}<span class="goal-ring-text">Set ${new Date().getFullYear()} goal</span>`;
+    ring.title = 'Set a yearly reading goal';
+    return;
+  }
+
+  let pace;
+  if (progress.ahead > 0) pace = `${progress.ahead} ahead`;
+  else if (progress.ahead < 0) pace = `${-progress.ahead} behind`;
+  else pace = 'on pace';
+
+  ring.innerHTML = `
+    ${progressRing(progress.fraction)}
+    <span class="goal-ring-text">
+      ${progress.done}/${progress.target}
+      <span class="goal-pace ${progress.ahead < 0 ? 'behind' : 'ahead'}">${pace}</span>
+      · on track for ${progress.projected}
+    </span>
+  `;
+  ring.title = `${progress.done} of ${progress.target} books read in ${progress.year} — tap to change goal`;
+}
+
 /**
  * Update genre filter dropdown with current genres
  */
@@ -88,9 +310,146 @@ export function updateGenreFilter(genres) {
 }
 
 /**
- * Update sort indicator on table headers
+ * Add a name + role row to the book form's other-contributors list
+ */
+export function addContributorRow(contributor = { name: '', role: 'translator' }) {
+  const list = document.getElementById('bookContributors');
+  if (!list) return;
+
+  const row = document.createElement('div');
+  row.className = 'contributor-row';
+  row.innerHTML = `
+    <input type="text" class="form-input contributor-name" placeholder="Name" value="${escapeHtml(contributor.name)}" />
+    <select class="form-input contributor-role">
+      ${Object.entries(ROLE_LABELS).map(([role, [label]]) =>
+        `<option value="${role}" ${role === contributor.role ? 'selected' : ''}>${label}</option>`
+      ).join('')}
+    </select>
+    <button type="button" class="contributor-remove" aria-label="Remove contributor">×</button>
+  `;
+  row.querySelector('.contributor-remove').addEventListener('click', () => row.remove());
+  list.appendChild(row);
+}
+
+function setContributorRows(contributors) {
+  const list = document.getElementById('bookContributors');
+  if (!list) return;
+  list.innerHTML = '';
+  contributors
+    .filter(c => c.role !== 'author')
+    .forEach(contributor => addContributorRow(contributor));
+}
+
+/**
+ * Refresh the series name suggestions in the book form
+ */
+export function updateSeriesOptions(series) {
+  const datalist = document.getElementById('bookSeriesSuggestions');
+  if (!datalist) return;
+  datalist.innerHTML = series
+    .map(name => `<option value="${escapeHtml(name)}"></option>`)
+    .join('');
+}
+
+/**
+ * Refresh tag/shelf autocomplete and the shelf filter dropdown
+ */
+export function updateTagOptions(tags, shelves) {
+  const chips = getFormChips();
+  chips.tags.setSuggestions(tags);
+  chips.shelves.setSuggestions(shelves);
+
+  const select = document.getElementById('shelfFilter');
+  if (!select) return;
+
+  const currentValue = select.value;
+  select.innerHTML = '<option value="">All Shelves</option>' +
+    shelves.map(shelf =>
+      `<option value="${escapeHtml(shelf)}">${escapeHtml(shelf)}</option>`
+    ).join('');
+
+  if (currentValue && shelves.includes(currentValue)) {
+    select.value = currentValue;
+  }
+}
+
+/**
+ * Set the filter dropdowns, search box and format checkboxes to match
+ * filters (e.g. from the URL or a saved view). The tag chips are set by
+ * the caller, which owns that ChipInput.
+ */
+export function setFilterControls(filters) {
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    // A genre or shelf no book has any more still needs an option to show
+    if (el.tagName === 'SELECT' && value && !Array.from(el.options).some(o => o.value === value)) {
+      el.add(new Option(value, value));
+    }
+    el.value = value;
+  };
+
+  setValue('searchInput', filters.search);
+  setValue('fictionFilter', filters.fictionType);
+  setValue('genreFilter', filters.genre);
+  setValue('statusFilter', filters.status);
+  setValue('shelfFilter', filters.shelf);
+  setValue('tagFilterMode', filters.tagMode);
+
+  [['filterPhysical', 'physical'], ['filterKindle', 'kindle'], ['filterAudible', 'audible']]
+    .forEach(([id, format]) => {
+      const checkbox = document.getElementById(id);
+      if (checkbox) checkbox.checked = filters.formats.includes(format);
+    });
+}
+
+/**
+ * Render the saved-view chips above the table
+ * @param {Array} views - saved views
+ * @param {string|null} activeId - the view matching the current filters
+ */
+export function renderSavedViews(views, activeId) {
+  const list = document.getElementById('savedViewsList');
+  if (!list) return;
+
+  list.innerHTML = views.map(view => `
+    <span class="view-chip ${view.id === activeId ? 'active' : ''}">
+      <button type="button" class="view-chip-apply" data-view-id="${escapeHtml(view.id)}"
+        title="${view.id === activeId ? 'Tap to clear' : 'Show this view'}">${escapeHtml(view.name)}</button>
+      <button type="button" class="chip-remove" data-remove-view-id="${escapeHtml(view.id)}"
+        aria-label="Delete ${escapeHtml(view.name)}">×</button>
+    </span>
+  `).join('');
+}
+
+// Labels for the grid's sort menu, keyed like the URL's ?sort= value
+const SORT_LABELS = {
+  relevance: 'Best match',
+  title: 'Title A–Z',
+  '-title': 'Title Z–A',
+  author: 'Author A–Z',
+  '-author': 'Author Z–A',
+  '-rating': 'Highest rated',
+  rating: 'Lowest rated',
+  status: 'Status',
+  '-status': 'Status (reverse)',
+  genre: 'Genre A–Z',
+  '-genre': 'Genre Z–A'
+};
+
+/**
+ * Update sort indicator on table headers (and the grid's sort menu)
  */
 export function updateSortIndicator(sortBy, ascending) {
+  const select = document.getElementById('gridSort');
+  if (select) {
+    const value = `${ascending ? '' : '-'}${sortBy}`;
+    if (!Array.from(select.options).some(o => o.value === value)) {
+      select.add(new Option(SORT_LABELS[value] || sortBy, value));
+    }
+    select.value = value;
+  }
+
   // Clear all indicators
   document.querySelectorAll('.sort-indicator').forEach(el => {
     el.textContent = '';
@@ -108,18 +467,34 @@ export function updateSortIndicator(sortBy, ascending) {
 
 /**
  * Open detail sheet with book data
+ * @param {Array} sessions - reading sessions for the book, oldest first
  */
-export function openDetailSheet(book) {
+export function openDetailSheet(book, sessions = []) {
   const sheet = document.getElementById('detailSheet');
   if (!sheet) return;
 
   // Populate details
+  const coverEl = document.getElementById('detailCover');
+  if (coverEl) coverEl.innerHTML = renderCover(book, { size: 'large', eager: true });
+
   document.getElementById('detailTitle').textContent = book.title;
-  document.getElementById('detailAuthor').textContent = `by ${book.author}`;
+  document.getElementById('detailAuthor').innerHTML = `by ${renderAuthorLinks(book)}`;
+
+  const contributorsEl = document.getElementById('detailContributors');
+  if (contributorsEl) {
+    contributorsEl.textContent = describeContributors(book.contributors);
+    contributorsEl.style.display = contributorsEl.textContent ? 'block' : 'none';
+  }
+
+  const seriesEl = document.getElementById('detailSeries');
+  if (seriesEl) {
+    seriesEl.textContent = book.series ? `📚 ${formatSeries(book)}` : '';
+    seriesEl.style.display = book.series ? 'block' : 'none';
+  }
   
   // Build metadata line (acquired date hidden from UI but preserved in data)
   const metaParts = [
-    book.fiction_type,
+    book.fictionType,
     book.genre,
     book.difficulty
   ].filter(Boolean);
@@ -128,6 +503,19 @@ export function openDetailSheet(book) {
   // Render formats
   document.getElementById('detailFormats').innerHTML = renderFormats(book.formats);
 
+  // Rating and review
+  const ratingEl = document.getElementById('detailRating');
+  if (ratingEl) {
+    ratingEl.innerHTML = book.rating ? `${renderStars(book.rating)} ${book.rating}/5` : '';
+    ratingEl.style.display = book.rating ? 'block' : 'none';
+  }
+
+  const reviewEl = document.getElementById('detailReview');
+  if (reviewEl) {
+    reviewEl.textContent = book.review || '';
+    reviewEl.style.display = book.review ? 'block' : 'none';
+  }
+
   // Notes
   const notesEl = document.getElementById('detailNotes');
   if (book.notes) {
@@ -137,15 +525,28 @@ export function openDetailSheet(book) {
     notesEl.style.display = 'none';
   }
 
-  // Tags
+  // Reading history
+  const readsEl = document.getElementById('detailReads');
+  if (readsEl) {
+    readsEl.innerHTML = renderReadingHistory(sessions);
+    readsEl.style.display = sessions.length ? 'block' : 'none';
+  }
+
+  // Tags — status and formats, then shelves and custom tags (tap to filter)
   const tagsEl = document.getElementById('detailTags');
   const tags = [
     book.status,
     ...book.formats
   ];
-  tagsEl.innerHTML = tags.map(tag => 
-    `<span class="tag">${escapeHtml(tag)}</span>`
-  ).join('');
+  tagsEl.innerHTML = [
+    ...tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`),
+    ...book.shelves.map(shelf =>
+      `<button type="button" class="tag tag-shelf" data-shelf="${escapeHtml(shelf)}" title="Show this shelf">📚 ${escapeHtml(shelf)}</button>`
+    ),
+    ...book.tags.map(tag =>
+      `<button type="button" class="tag tag-custom" data-tag="${escapeHtml(tag)}" title="Show books with this tag">#${escapeHtml(tag)}</button>`
+    )
+  ].join('');
 
   // Store book ID for actions
   sheet.dataset.bookId = book.id;
@@ -154,6 +555,50 @@ export function openDetailSheet(book) {
   sheet.classList.add('active');
 }
 
+/**
+ * Render the list of past and current reads for the detail sheet
+ */
+function renderReadingHistory(sessions) {
+  if (sessions.length === 0) return '';
+
+  let readNumber = 0;
+  const items = sessions.map(session => {
+    let label;
+    if (isOpen(session)) {
+      label = 'Reading now';
+    } else if (session.abandoned) {
+      label = 'Stopped';
+    } else {
+      readNumber++;
+      label = `Read #${readNumber}`;
+    }
+
+    let dates;
+    if (session.startedAt) {
+      const end = session.finishedAt ? formatDisplayDate(session.finishedAt) : 'now';
+      dates = `${formatDisplayDate(session.startedAt)} – ${end}`;
+    } else {
+      dates = `Finished ${formatDisplayDate(session.finishedAt)}`;
+    }
+
+    const days = durationDays(session);
+    let duration = '';
+    if (days !== null) {
+      duration = `${days} day${days !== 1 ? 's' : ''}${isOpen(session) ? ' so far' : ''}`;
+    }
+
+    return `
+      <li class="reading-session${session.abandoned ? ' abandoned' : ''}">
+        <span class="reading-session-label">${escapeHtml(label)}</span>
+        <span class="reading-session-dates">${escapeHtml(dates)}</span>
+        ${duration ? `<span class="reading-session-duration">${escapeHtml(duration)}</span>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  return `<h3>Reading history</h3><ul>${items}</ul>`;
+}
+
 /**
  * Close detail sheet
  */
@@ -184,6 +629,9 @@ export function openBookModal(book = null) {
     populateBookForm(book);
   } else {
     form.reset();
+    setContributorRows([]);
+    getFormChips().tags.setValues([]);
+    getFormChips().shelves.setValues([]);
   }
 
   // Show modal
@@ -204,22 +652,32 @@ export function closeBookModal() {
  * Populate book form with data (for editing)
  */
 function populateBookForm(book) {
-  document.getElementById('bookTitle').value = book.title || '';
-  document.getElementById('bookAuthor').value = book.author || '';
-  document.getElementById('bookGenre').value = book.genre || '';
-  document.getElementById('bookFictionType').value = book.fictionType || '';
-  document.getElementById('bookDifficulty').value = book.difficulty || '';
-  document.getElementById('bookStatus').value = book.status || '';
-  document.getElementById('bookISBN').value = book.isbn || '';
-  document.getElementById('bookPublicationDate').value = book.publicationDate || '';
-  document.getElementById('bookAcquiredDate').value = book.acquiredDate || '';
-  document.getElementById('bookCoverUrl').value = book.coverUrl || '';
-  document.getElementById('bookNotes').value = book.notes || '';
+  const data = toFormData(book);
+
+  document.getElementById('bookTitle').value = data.title;
+  document.getElementById('bookAuthor').value = data.author;
+  setContributorRows(data.contributors);
+  document.getElementById('bookGenre').value = data.genre;
+  document.getElementById('bookFictionType').value = data.fictionType;
+  document.getElementById('bookDifficulty').value = data.difficulty;
+  document.getElementById('bookStatus').value = data.status;
+  document.getElementById('bookRating').value = data.rating;
+  document.getElementById('bookSeries').value = data.series;
+  document.getElementById('bookSeriesPosition').value = data.seriesPosition;
+  document.getElementById('bookISBN').value = data.isbn;
+  document.getElementById('bookPublicationDate').value = data.publicationDate;
+  document.getElementById('bookAcquiredDate').value = data.acquiredDate;
+  document.getElementById('bookCoverUrl').value = data.coverUrl;
+  document.getElementById('bookReview').value = data.review;
+  document.getElementById('bookNotes').value = data.notes;
+
+  getFormChips().tags.setValues(data.tags);
+  getFormChips().shelves.setValues(data.shelves);
 
   // Formats checkboxes
-  document.getElementById('formatPhysical').checked = book.formats?.includes('physical') || false;
-  document.getElementById('formatKindle').checked = book.formats?.includes('kindle') || false;
-  document.getElementById('formatAudible').checked = book.formats?.includes('audible') || false;
+  document.getElementById('formatPhysical').checked = data.formats.includes('physical');
+  document.getElementById('formatKindle').checked = data.formats.includes('kindle');
+  document.getElementById('formatAudible').checked = data.formats.includes('audible');
 }
 
 /**
@@ -234,15 +692,27 @@ export function getBookFormData() {
   return {
     title: document.getElementById('bookTitle').value,
     author: document.getElementById('bookAuthor').value,
+    // Authors come from the author field; these rows are everyone else
+    contributors: Array.from(document.querySelectorAll('#bookContributors .contributor-row'))
+      .map(row => ({
+        name: row.querySelector('.contributor-name').value,
+        role: row.querySelector('.contributor-role').value
+      })),
     genre: document.getElementById('bookGenre').value,
     fictionType: document.getElementById('bookFictionType').value,
     difficulty: document.getElementById('bookDifficulty').value,
     status: document.getElementById('bookStatus').value,
+    rating: document.getElementById('bookRating').value,
     formats: formats,
+    tags: getFormChips().tags.getValues(),
+    shelves: getFormChips().shelves.getValues(),
+    series: document.getElementById('bookSeries').value,
+    seriesPosition: document.getElementById('bookSeriesPosition').value,
     isbn: document.getElementById('bookISBN').value,
     publicationDate: document.getElementById('bookPublicationDate').value,
     acquiredDate: document.getElementById('bookAcquiredDate').value,
     coverUrl: document.getElementById('bookCoverUrl').value,
+    review: document.getElementById('bookReview').value,
     notes: document.getElementById('bookNotes').value
   };
 }
@@ -258,6 +728,9 @@ export function autofillBookForm(bookData, autoClassification = null, defaultPhy
   if (bookData.author) {
     document.getElementById('bookAuthor').value = bookData.author;
   }
+  if (bookData.contributors?.some(c => c.role !== 'author')) {
+    setContributorRows(bookData.contributors);
+  }
   if (bookData.isbn) {
     document.getElementById('bookISBN').value = bookData.isbn;
   }
@@ -267,6 +740,10 @@ export function autofillBookForm(bookData, autoClassification = null, defaultPhy
   if (bookData.coverUrl) {
     document.getElementById('bookCoverUrl').value = bookData.coverUrl;
   }
+  if (bookData.series) {
+    document.getElementById('bookSeries').value = bookData.series;
+    document.getElementById('bookSeriesPosition').value = bookData.seriesPosition ?? '';
+  }
 
   // Auto-classification from categories
   if (autoClassification) {
@@ -308,15 +785,6 @@ export function setISBNLookupLoading(loading) {
   }
 }
 
-/**
- * Helper: Escape HTML to prevent XSS
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 /**
  * Helper: Format date for display
  */
@@ -3,14 +3,16 @@
  * Helper functions used throughout the app
  */
 
+import { isbnProblem, parseISBN } from './isbn.js';
+
 /**
- * Generate a unique ID for books
- * Format: book-{timestamp}-{random}
+ * Generate a unique ID for books (and other records)
+ * Format: {prefix}-{timestamp}-{random}
  */
-export function generateId() {
+export function generateId(prefix = 'book') {
   const timestamp = Date.now();
   const random = Math.random().toString(36).substring(2, 9);
-  return `book-${timestamp}-${random}`;
+  return `${prefix}-${timestamp}-${random}`;
 }
 
 /**
@@ -35,12 +37,11 @@ export function getCurrentTimestamp() {
 }
 
 /**
- * Validate ISBN format (10 or 13 digits)
+ * Validate an ISBN-10 or ISBN-13, check digit included (see isbn.js)
  */
 export function isValidISBN(isbn) {
   if (!isbn) return true; // ISBN is optional
-  const cleaned = isbn.replace(/[-\s]/g, '');
-  return /^\d{10}$/.test(cleaned) || /^\d{13}$/.test(cleaned);
+  return parseISBN(isbn) !== null;
 }
 
 /**
@@ -86,7 +87,7 @@ export function validateBook(book) {
   }
   
   if (book.isbn && !isValidISBN(book.isbn)) {
-    errors.push('Invalid ISBN format');
+    errors.push(isbnProblem(book.isbn));
   }
   
   return {
@@ -103,22 +104,49 @@ export function buildAmazonUrl(book) {
   return `https://www.amazon.com/s?k=${query}`;
 }
 
+/**
+ * Escape text for HTML — element content and quoted attribute values alike
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Show toast notification
+ * @param {number} duration - ms before dismissing; 0 keeps it until acted on
+ * @param {Object} action - optional { label, onClick } button
  */
-export function showToast(message, duration = 3000) {
+export function showToast(message, duration = 3000, action = null) {
   const container = document.getElementById('toastContainer');
   if (!container) return;
   
   const toast = document.createElement('div');
   toast.className = 'toast';
   toast.textContent = message;
+
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
   
   container.appendChild(toast);
   
-  setTimeout(() => {
-    toast.remove();
-  }, duration);
+  if (duration > 0) {
+    setTimeout(() => {
+      toast.remove();
+    }, duration);
+  }
 }
 
 /**
@@ -137,12 +165,13 @@ export function debounce(func, wait) {
 }
 
 /**
- * Download JSON file
+ * Download text content as a file
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} type - MIME type, e.g. 'text/csv'
  */
-export function downloadJSON(data, filename) {
-  const blob = new Blob([JSON.stringify(data, null, 2)], { 
-    type: 'application/json' 
-  });
+export function downloadFile(content, filename, type = 'text/plain') {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -153,10 +182,19 @@ export function downloadJSON(data, filename) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Download JSON file
+ */
+export function downloadJSON(data, filename) {
+  downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+}
+
 /**
  * Format export filename with timestamp
+ * @param {string} extension - 'json', 'csv', 'md'
+ * @param {string} name - what's in the file, e.g. 'backup' or 'reading-list'
  */
-export function getExportFilename() {
+export function getExportFilename(extension = 'json', name = 'backup') {
   const now = new Date();
   const year = now.getFullYear();
   const month = String(now.getMonth() + 1).padStart(2, '0');
@@ -164,7 +202,7 @@ export function getExportFilename() {
   const hour = String(now.getHours()).padStart(2, '0');
   const minute = String(now.getMinutes()).padStart(2, '0');
   
-  return `bookish-backup-${year}-${month}-${day}-${hour}h${minute}.json`;
+  return `bookish-${name}-${year}-${month}-${day}-${hour}h${minute}.${extension}`;
 }
 
 /**
@@ -180,17 +218,3 @@ export async function copyToClipboard(text) {
   }
 }
 
-/**
- * Parse imported JSON with error handling
- */
-export function parseImportedJSON(jsonString) {
-  try {
-    const data = JSON.parse(jsonString);
-    if (!Array.isArray(data)) {
-      throw new Error('Invalid format: expected an array of books');
-    }
-    return { success: true, data };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
@@ -0,0 +1,122 @@
+/**
+ * BOOKISH LIBRARY - SAVED VIEW MODEL
+ * Filters and sort as a URL query string (so a filtered list survives a
+ * reload and can be shared), and named views ("Audible backlog") that
+ * store that same string in the saved_views table
+ *
+ *   ?q=woolf&status=unread&formats=kindle,audible&tags=book-club&sort=-rating
+ */
+
+import { normalizeTags } from './book.js';
+
+const STATUSES = ['unread', 'reading', 'read'];
+const FICTION_TYPES = ['Fiction', 'Nonfiction'];
+const FORMATS = ['physical', 'kindle', 'audible'];
+const SORT_FIELDS = ['title', 'author', 'genre', 'status', 'rating', 'relevance'];
+
+/**
+ * Filters that show the whole library
+ */
+export function defaultFilters() {
+  return {
+    search: '',
+    fictionType: '',
+    genre: '',
+    status: '',
+    shelf: '',
+    tags: [],
+    tagMode: 'all',
+    formats: []
+  };
+}
+
+/**
+ * Sort used when nothing else is asked for: best match while searching,
+ * otherwise A–Z by title
+ */
+export function defaultSort(filters) {
+  return { by: filters.search.trim() ? 'relevance' : 'title', ascending: true };
+}
+
+/**
+ * Serialize filters and sort, leaving out anything at its default
+ * @returns {string} query string without the leading "?" ('' for no filters)
+ */
+export function toQueryString(filters, sort) {
+  const params = new URLSearchParams();
+  const search = filters.search.trim();
+
+  if (search) params.set('q', search);
+  if (filters.fictionType) params.set('type', filters.fictionType);
+  if (filters.genre) params.set('genre', filters.genre);
+  if (filters.status) params.set('status', filters.status);
+  if (filters.shelf) params.set('shelf', filters.shelf);
+  if (filters.tags.length > 0) params.set('tags', filters.tags.join(','));
+  if (filters.tagMode === 'any') params.set('tagmode', 'any');
+  if (filters.formats.length > 0) params.set('formats', filters.formats.join(','));
+
+  const fallback = defaultSort(filters);
+  if (sort.by !== fallback.by || sort.ascending !== fallback.ascending) {
+    params.set('sort', `${sort.ascending ? '' : '-'}${sort.by}`);
+  }
+
+  return params.toString();
+}
+
+/**
+ * Parse a query string back into filters and sort
+ * Unknown parameters (e.g. ?isbn=) and invalid values are ignored.
+ * @param {string} query - with or without the leading "?"
+ * @returns {Object} { filters, sort }
+ */
+export function fromQueryString(query) {
+  const params = new URLSearchParams(query);
+  const filters = defaultFilters();
+
+  filters.search = params.get('q') || '';
+  if (FICTION_TYPES.includes(params.get('type'))) filters.fictionType = params.get('type');
+  filters.genre = params.get('genre') || '';
+  if (STATUSES.includes(params.get('status'))) filters.status = params.get('status');
+  filters.shelf = params.get('shelf') || '';
+  filters.tags = normalizeTags(params.get('tags') || '');
+  if (params.get('tagmode') === 'any') filters.tagMode = 'any';
+  const formats = (params.get('formats') || '').split(',');
+  filters.formats = FORMATS.filter(format => formats.includes(format));
+
+  let sort = defaultSort(filters);
+  const sortParam = params.get('sort') || '';
+  const by = sortParam.replace(/^-/, '');
+  if (SORT_FIELDS.includes(by) && !(by === 'relevance' && !filters.search.trim())) {
+    sort = { by, ascending: !sortParam.startsWith('-') };
+  }
+
+  return { filters, sort };
+}
+
+/**
+ * Convert a saved_views row into a canonical view
+ */
+export function fromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name || '',
+    query: row.query || '',
+    createdAt: row.created_at || '',
+    updatedAt: row.updated_at || ''
+  };
+}
+
+/**
+ * Convert a canonical view into a saved_views row
+ */
+export function toRow(view) {
+  return {
+    id: view.id,
+    user_id: view.userId,
+    name: view.name,
+    query: view.query,
+    created_at: view.createdAt,
+    updated_at: view.updatedAt
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * BOOKISH LIBRARY - VIRTUAL LIST
+ * Renders only the items near the visible part of the page, with spacers
+ * standing in for the rest, so a library of thousands of books stays
+ * smooth. Works for a table body (one item per row) and for a CSS grid
+ * (several per row — the column count and row height are measured).
+ *
+ * Updates are diffed: an item's element is kept as long as the item is
+ * the same object with the same stamp (e.g. its selected state), so
+ * typing in the search box or ticking a checkbox only touches the rows
+ * that actually changed.
+ */
+
+const OVERSCAN_ROWS = 6;
+
+export class VirtualList {
+  /**
+   * @param {HTMLElement} container - tbody or grid element; the list owns its children
+   * @param {Object} options
+   *   renderItem(item) → HTML for one item (a single element)
+   *   getKey(item) → unique id
+   *   getStamp(item) → anything that forces a re-render when it changes
+   *   createSpacer() → HTML for an empty element that fills skipped rows
+   *   emptyHtml - shown when there are no items
+   *   estimatedRowHeight - used until real rows have been measured
+   */
+  constructor(container, options) {
+    this.container = container;
+    this.renderItem = options.renderItem;
+    this.getKey = options.getKey;
+    this.getStamp = options.getStamp || (() => '');
+    this.emptyHtml = options.emptyHtml || '';
+
+    this.items = [];
+    this.rendered = new Map();   // key → { item, stamp, element }
+    this.rowHeight = options.estimatedRowHeight || 48;
+    this.columns = 1;
+    this.range = null;
+    this.frame = null;
+
+    this.topSpacer = this.createElement(options.createSpacer());
+    this.bottomSpacer = this.createElement(options.createSpacer());
+    this.template = document.createElement('template');
+
+    const schedule = () => this.scheduleRender();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+  }
+
+  createElement(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+  }
+
+  /**
+   * Replace the list of items (re-renders only what changed)
+   */
+  setItems(items) {
+    this.items = items;
+    this.render();
+  }
+
+  scheduleRender() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render({ onlyIfMoved: true });
+    });
+  }
+
+  /**
+   * Which rows of items overlap the viewport (plus some overscan)
+   */
+  visibleRange() {
+    const rect = this.container.getBoundingClientRect();
+    const viewTop = Math.max(0, -rect.top);
+    const viewBottom = Math.max(0, window.innerHeight - rect.top);
+    const totalRows = Math.ceil(this.items.length / this.columns);
+
+    const firstRow = Math.max(0, Math.floor(viewTop / this.rowHeight) - OVERSCAN_ROWS);
+    const lastRow = Math.min(totalRows, Math.ceil(viewBottom / this.rowHeight) + OVERSCAN_ROWS);
+
+    return {
+      start: firstRow * this.columns,
+      end: Math.min(this.items.length, lastRow * this.columns),
+      firstRow,
+      rowsAfter: Math.max(0, totalRows - lastRow)
+    };
+  }
+
+  render({ onlyIfMoved = false } = {}) {
+    // Nothing to measure against while hidden (e.g. grid in table layout)
+    if (!this.container.offsetParent) return;
+
+    if (this.items.length === 0) {
+      this.rendered.clear();
+      this.range = null;
+      this.container.innerHTML = this.emptyHtml;
+      return;
+    }
+
+    const range = this.visibleRange();
+    if (onlyIfMoved && this.range && range.start === this.range.start && range.end === this.range.end) {
+      return;
+    }
+    this.range = range;
+
+    this.patch(this.items.slice(range.start, range.end));
+    this.setSpacer(this.topSpacer, range.firstRow);
+    this.setSpacer(this.bottomSpacer, range.rowsAfter);
+
+    // Real sizes may differ from the estimate — measure, and redo once if so
+    if (this.measure()) {
+      const corrected = this.visibleRange();
+      this.range = corrected;
+      this.patch(this.items.slice(corrected.start, corrected.end));
+      this.setSpacer(this.topSpacer, corrected.firstRow);
+      this.setSpacer(this.bottomSpacer, corrected.rowsAfter);
+    }
+  }
+
+  /**
+   * Make the container hold exactly these items, between the spacers,
+   * reusing elements for unchanged items
+   */
+  patch(visibleItems) {
+    const wanted = new Map();
+    const elements = visibleItems.map(item => {
+      const key = this.getKey(item);
+      const stamp = this.getStamp(item);
+      let entry = this.rendered.get(key);
+      if (!entry || entry.item !== item || entry.stamp !== stamp) {
+        const element = this.createElement(this.renderItem(item));
+        entry?.element.replaceWith(element);
+        entry = { item, stamp, element };
+      }
+      wanted.set(key, entry);
+      return entry.element;
+    });
+
+    this.rendered.forEach((entry, key) => {
+      if (!wanted.has(key)) entry.element.remove();
+    });
+    this.rendered = wanted;
+
+    // Clear anything not managed by the list (e.g. the empty message)
+    Array.from(this.container.children).forEach(child => {
+      if (child !== this.topSpacer && child !== this.bottomSpacer && !elements.includes(child)) {
+        child.remove();
+      }
+    });
+
+    // Put elements in order, moving only those out of place
+    let cursor = this.topSpacer;
+    if (cursor.parentNode !== this.container) this.container.prepend(cursor);
+    elements.forEach(element => {
+      if (cursor.nextSibling !== element) cursor.after(element);
+      cursor = element;
+    });
+    if (cursor.nextSibling !== this.bottomSpacer) cursor.after(this.bottomSpacer);
+  }
+
+  setSpacer(spacer, rows) {
+    // In a grid the spacer is an item too, so it gets a gap of its own
+    const gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+    const height = rows * this.rowHeight - gap;
+    spacer.style.display = rows > 0 ? '' : 'none';
+    spacer.style.height = `${Math.max(0, height)}px`;
+  }
+
+  /**
+   * Measure columns per row and row height from the rendered elements
+   * @returns {boolean} true if they changed noticeably
+   */
+  measure() {
+    const elements = Array.from(this.rendered.values(), entry => entry.element);
+    if (elements.length === 0) return false;
+
+    const firstTop = elements[0].offsetTop;
+    let columns = elements.findIndex(el => el.offsetTop !== firstTop);
+    if (columns < 0) columns = elements.length;
+
+    const rows = Math.ceil(elements.length / columns);
+    const lastRowTop = elements[(rows - 1) * columns].offsetTop;
+    const rowHeight = rows > 1
+      ? (lastRowTop - firstTop) / (rows - 1)
+      : elements[0].offsetHeight;
+
+    // A single partial row can't tell us the real column count
+    if (rows === 1 && this.items.length > elements.length) return false;
+    if (!rowHeight) return false;
+
+    const changed = columns !== this.columns || Math.abs(rowHeight - this.rowHeight) > 2;
+    this.columns = columns;
+    this.rowHeight = rowHeight;
+    return changed;
+  }
+}
@@ -18,8 +18,9 @@ export default async (request) => {
 
   let prompt = '';
   let books = [];
+  let author = '';
   try {
-    ({ prompt = '', books = [] } = await request.json());
+    ({ prompt = '', books = [], author = '' } = await request.json());
   } catch {
     return new Response(
       JSON.stringify({ error: 'Invalid request body' }),
@@ -33,14 +34,28 @@ export default async (request) => {
   const readingBooks = books.filter(b => b.status === 'reading');
   const allTitles    = books.map(b => b.title).join(', ');
 
-  const readList = readBooks
+  // Highest rated first — ratings (0.5–5) are the clearest taste signal
+  const readList = [...readBooks]
+    .sort((a, b) => (b.rating || 0) - (a.rating || 0))
     .map(b => {
       const tags = [b.genre, b.fiction_type, b.difficulty].filter(Boolean).join('/');
+      const rating = b.rating > 0 ? ` ★${b.rating}` : '';
       const note = b.notes ? ` ("${b.notes}")` : '';
-      return `${b.title} by ${b.author}${tags ? ` [${tags}]` : ''}${note}`;
+      const series = b.series ? ` (${b.series})` : '';
+      return `${b.title}${series} by ${b.author}${tags ? ` [${tags}]` : ''}${rating}${note}`;
     })
     .join('\n');
 
+  const favourites = readBooks
+    .filter(b => b.rating >= 4)
+    .map(b => `${b.title} (★${b.rating})`)
+    .join(', ');
+
+  const disliked = readBooks
+    .filter(b => b.rating > 0 && b.rating <= 2)
+    .map(b => `${b.title} (★${b.rating})`)
+    .join(', ');
+
   const readingList = readingBooks
     .map(b => `${b.title} by ${b.author}`)
     .join(', ');
@@ -55,6 +70,7 @@ Rules:
 - Only recommend books NOT already in their library
 - Choose books with real literary merit (prize-winners, critically acclaimed, considered essential)
 - The "why" field must be specific: name qualities from books they've READ that the recommendation shares
+- Ratings (★, out of 5) matter most: build on their highest-rated books and avoid what their low-rated books have in common
 - Return ONLY a valid JSON array — no markdown, no commentary
 
 Each item in the array must have exactly these fields:
@@ -73,10 +89,19 @@ Each item in the array must have exactly these fields:
     readBooks.length
       ? `Books read:\n${readList}`
       : 'No books read yet — recommend foundational literary works.',
+    favourites
+      ? `Favourites (rated 4+) — weight these most: ${favourites}`
+      : null,
+    disliked
+      ? `Disliked (rated 2 or less) — avoid what these share: ${disliked}`
+      : null,
     readingList
       ? `Currently reading: ${readingList}`
       : null,
     `Do not recommend any of: ${allTitles || 'none'}`,
+    author
+      ? `Author focus: recommend only books by ${author} that aren't in the library, best fit for this reader first.`
+      : null,
     prompt
       ? `Specific request: "${prompt}"`
       : 'Open recommendation — best match for this reader.',
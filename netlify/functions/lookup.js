@@ -0,0 +1,280 @@
+/**
+ * Bookish — /api/lookup
+ * GET ?isbn=<ISBN-10 or ISBN-13> → { success, book } in the shape the
+ * client's lookupISBN() consumes. Queries Google Books and Open Library,
+ * merges their answers field by field, and caches the result in the
+ * Supabase isbn_lookup_cache table (keyed by ISBN-13) so repeat scans are
+ * instant and don't hit the sources' rate limits.
+ *
+ * Env: SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY enable the cache (lookups
+ * still work without it); GOOGLE_BOOKS_API_KEY raises Google's quota.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+const CACHE_TABLE = 'isbn_lookup_cache';
+const FOUND_TTL_DAYS = 90;
+// Misses are retried sooner — sources add books all the time
+const MISSING_TTL_DAYS = 1;
+const SOURCE_TIMEOUT_MS = 6000;
+
+// ── ISBN ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize an ISBN-10 or ISBN-13 and work out both forms
+ * @returns {Object|null} { isbn13, isbn10 } (isbn10 is null for 979-
+ *   ISBNs, which have none), or null if it isn't a valid ISBN
+ */
+function normalizeIsbn(value) {
+  const cleaned = String(value || '').replace(/[^0-9Xx]/g, '').toUpperCase();
+
+  if (/^\d{9}[\dX]$/.test(cleaned)) {
+    const sum = cleaned.split('').reduce(
+      (total, ch, i) => total + (ch === 'X' ? 10 : Number(ch)) * (10 - i), 0
+    );
+    if (sum % 11 !== 0) return null;
+    return { isbn13: isbn10To13(cleaned), isbn10: cleaned };
+  }
+
+  // 979-0 is the ISMN range (printed music), not books
+  if (/^97[89]\d{10}$/.test(cleaned) && !cleaned.startsWith('9790')) {
+    if (isbn13CheckDigit(cleaned) !== cleaned[12]) return null;
+    return { isbn13: cleaned, isbn10: cleaned.startsWith('978') ? isbn13To10(cleaned) : null };
+  }
+
+  return null;
+}
+
+function isbn13CheckDigit(isbn) {
+  const sum = isbn.slice(0, 12).split('').reduce(
+    (total, ch, i) => total + Number(ch) * (i % 2 === 0 ? 1 : 3), 0
+  );
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isbn10To13(isbn10) {
+  const stem = `978${isbn10.slice(0, 9)}`;
+  return stem + isbn13CheckDigit(`${stem}0`);
+}
+
+function isbn13To10(isbn13) {
+  const stem = isbn13.slice(3, 12);
+  const sum = stem.split('').reduce((total, ch, i) => total + Number(ch) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return stem + (check === 10 ? 'X' : String(check));
+}
+
+// ── Sources ───────────────────────────────────────────────────────────────────
+
+async function fetchJSON(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS) });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  return response.json();
+}
+
+const https = url => (url ? String(url).replace(/^http:/i, 'https:') : '');
+
+async function fromGoogleBooks({ isbn13 }) {
+  const key = process.env.GOOGLE_BOOKS_API_KEY;
+  const data = await fetchJSON(
+    `https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn13}${key ? `&key=${encodeURIComponent(key)}` : ''}`
+  );
+  const info = data?.items?.[0]?.volumeInfo;
+  if (!info) return null;
+
+  const seriesId = info.seriesInfo?.volumeSeries?.[0]?.seriesId;
+  return {
+    title: info.title || '',
+    authors: info.authors || [],
+    publicationDate: info.publishedDate || '',
+    coverUrl: https(info.imageLinks?.thumbnail || info.imageLinks?.smallThumbnail),
+    series: seriesId ? await googleSeriesName(seriesId, key) : '',
+    seriesPosition: info.seriesInfo?.bookDisplayNumber || null,
+    categories: info.categories || []
+  };
+}
+
+// Volumes only carry a series id; the name is a second request
+async function googleSeriesName(seriesId, key) {
+  try {
+    const data = await fetchJSON(
+      `https://www.googleapis.com/books/v1/series/get?series_id=${encodeURIComponent(seriesId)}${key ? `&key=${encodeURIComponent(key)}` : ''}`
+    );
+    return data?.series?.[0]?.title || '';
+  } catch {
+    return '';
+  }
+}
+
+async function fromOpenLibrary({ isbn13, isbn10 }) {
+  const keys = [isbn13, isbn10].filter(Boolean).map(isbn => `ISBN:${isbn}`);
+  const [data, edition] = await Promise.all([
+    fetchJSON(
+      `https://openlibrary.org/api/books?bibkeys=${encodeURIComponent(keys.join(','))}&format=json&jscmd=data`
+    ),
+    // The Books API leaves series out; the edition record has it
+    fetchJSON(`https://openlibrary.org/isbn/${isbn13}.json`).catch(() => null)
+  ]);
+  const book = keys.map(key => data?.[key]).find(Boolean);
+  if (!book) return null;
+
+  return {
+    title: book.title || '',
+    authors: (book.authors || []).map(author => author.name),
+    publicationDate: book.publish_date || '',
+    coverUrl: https(book.cover?.large || book.cover?.medium),
+    // A list of catalogue strings such as "Discworld -- 5"
+    series: edition?.series?.[0] || '',
+    seriesPosition: null,
+    categories: (book.subjects || []).map(subject => subject.name)
+  };
+}
+
+const SOURCES = [
+  { name: 'Google Books', lookup: fromGoogleBooks },
+  { name: 'Open Library', lookup: fromOpenLibrary }
+];
+
+const isEmpty = value => !value || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Ask every source, then take each field from the first that has it
+ * (series and seriesPosition come together). The series is passed on as
+ * the source wrote it — the client's parseSeries() splits out the volume.
+ * @returns {Object|null} book, or null if no source knows the ISBN
+ * @throws if every source failed (so a miss isn't cached by mistake)
+ */
+async function lookupSources(isbns) {
+  const settled = await Promise.allSettled(SOURCES.map(source => source.lookup(isbns)));
+
+  const answers = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'rejected') {
+      console.log(`[lookup] ${SOURCES[i].name} failed: ${outcome.reason?.message}`);
+    } else if (outcome.value) {
+      answers.push({ source: SOURCES[i].name, record: outcome.value });
+    }
+  });
+
+  if (answers.length === 0) {
+    if (settled.every(outcome => outcome.status === 'rejected')) {
+      throw new Error('All metadata sources failed');
+    }
+    return null;
+  }
+
+  const book = { isbn: isbns.isbn13 };
+  const used = new Set();
+  ['title', 'authors', 'publicationDate', 'coverUrl', 'series', 'categories'].forEach(field => {
+    const answer = answers.find(({ record }) => !isEmpty(record[field]));
+    if (!answer) return;
+    book[field] = answer.record[field];
+    if (field === 'series') book.seriesPosition = answer.record.seriesPosition;
+    used.add(answer.source);
+  });
+
+  if (!book.title) return null;
+
+  return {
+    title: book.title,
+    authors: book.authors || [],
+    author: (book.authors || []).join(', '),
+    isbn: book.isbn,
+    isbn10: isbns.isbn10 || '',
+    publicationDate: book.publicationDate || '',
+    coverUrl: book.coverUrl || '',
+    series: book.series || '',
+    seriesPosition: book.seriesPosition || null,
+    categories: book.categories || [],
+    source: [...used].join(' + ')
+  };
+}
+
+// ── Cache ─────────────────────────────────────────────────────────────────────
+
+function getCache() {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !key) return null;
+  return createClient(url, key, { auth: { persistSession: false } });
+}
+
+/**
+ * A cached answer that hasn't expired: { book } (book is null for a
+ * remembered miss), or null when the sources need asking
+ */
+async function readCache(cache, isbn13) {
+  const { data, error } = await cache
+    .from(CACHE_TABLE)
+    .select('book, fetched_at')
+    .eq('isbn13', isbn13)
+    .maybeSingle();
+
+  if (error) {
+    console.log(`[lookup] cache read failed: ${error.message}`);
+    return null;
+  }
+  if (!data) return null;
+
+  // Entries cached before series were looked up are fetched again
+  if (data.book && !('series' in data.book)) return null;
+
+  const ttlDays = data.book ? FOUND_TTL_DAYS : MISSING_TTL_DAYS;
+  const ageDays = (Date.now() - new Date(data.fetched_at).getTime()) / 86400000;
+  return ageDays < ttlDays ? { book: data.book } : null;
+}
+
+async function writeCache(cache, isbn13, book) {
+  const { error } = await cache
+    .from(CACHE_TABLE)
+    .upsert({ isbn13, book, fetched_at: new Date().toISOString() });
+  if (error) console.log(`[lookup] cache write failed: ${error.message}`);
+}
+
+// ── Handler ───────────────────────────────────────────────────────────────────
+
+function respond(statusCode, body, maxAge = 0) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': maxAge ? `public, max-age=${maxAge}` : 'no-store',
+    },
+    body: JSON.stringify(body),
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const isbns = normalizeIsbn(event.queryStringParameters?.isbn);
+  if (!isbns) {
+    return respond(400, { success: false, error: 'Not a valid ISBN-10 or ISBN-13' });
+  }
+  console.log(`[lookup] ${isbns.isbn13}`);
+
+  const cache = getCache();
+  const cached = cache ? await readCache(cache, isbns.isbn13) : null;
+  if (cached) {
+    console.log(`[lookup] cache hit (${cached.book ? 'found' : 'missing'})`);
+    return cached.book
+      ? respond(200, { success: true, book: { ...cached.book, cached: true } }, 86400)
+      : respond(404, { success: false, error: 'Book not found' });
+  }
+
+  let book;
+  try {
+    book = await lookupSources(isbns);
+  } catch (err) {
+    return respond(502, { success: false, error: 'Metadata sources unavailable', details: err.message });
+  }
+
+  if (cache) await writeCache(cache, isbns.isbn13, book);
+
+  return book
+    ? respond(200, { success: true, book }, 86400)
+    : respond(404, { success: false, error: 'Book not found' });
+};
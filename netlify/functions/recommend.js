@@ -1,6 +1,6 @@
 /**
  * Bookish — /api/recommend
- * Accepts { prompt, books } and returns a JSON array of deeply reasoned
+ * Accepts { prompt, books, author? } and returns a JSON array of deeply reasoned
  * book recommendations powered by Claude.
  */
 
@@ -24,8 +24,9 @@ exports.handler = async (event) => {
 
   let prompt = '';
   let books = [];
+  let author = '';
   try {
-    ({ prompt = '', books = [] } = JSON.parse(event.body));
+    ({ prompt = '', books = [], author = '' } = JSON.parse(event.body));
   } catch {
     return { statusCode: 400, body: JSON.stringify({ error: 'Invalid request body' }) };
   }
@@ -54,14 +55,26 @@ exports.handler = async (event) => {
     .map(([g, n]) => `${g} (${n})`)
     .join(', ');
 
+  // Star ratings (0.5–5) — the strongest signal of taste when present
+  const rated       = readBooks.filter(b => b.rating > 0);
+  const favourites  = rated.filter(b => b.rating >= 4).sort((a, b) => b.rating - a.rating);
+  const disliked    = rated.filter(b => b.rating <= 2);
+
   // Format a single book for the context block
   function formatBook(b) {
     const tags = [b.genre, b.fiction_type, b.difficulty].filter(Boolean).join(' · ');
+    const rating = b.rating > 0 ? ` — rated ${b.rating}/5` : '';
     const notes = b.notes ? ` — reader note: "${b.notes}"` : '';
-    return `- ${b.title} by ${b.author}${tags ? ` [${tags}]` : ''}${notes}`;
+    const series = b.series ? ` (${b.series})` : '';
+    return `- ${b.title}${series} by ${b.author}${tags ? ` [${tags}]` : ''}${rating}${notes}`;
   }
 
-  const readBooksBlock    = readBooks.map(formatBook).join('\n') || '(none yet)';
+  // Highest rated first so the model reads the favourites before the rest
+  const byRating = (a, b) => (b.rating || 0) - (a.rating || 0);
+
+  const readBooksBlock    = [...readBooks].sort(byRating).map(formatBook).join('\n') || '(none yet)';
+  const favouritesBlock   = favourites.map(formatBook).join('\n') || '(no ratings yet)';
+  const dislikedBlock     = disliked.map(formatBook).join('\n') || '(none)';
   const readingBooksBlock = readingBooks.map(formatBook).join('\n') || '(none)';
   const allTitlesBlock    = books.map(b => `- ${b.title}`).join('\n');
 
@@ -95,6 +108,12 @@ they've read inhabit?
   What ideas, periods, problems, or human situations keep appearing? Power, consciousness, history, \
 place, identity, science, mortality, institutions?
 
+  RATINGS
+  Where the reader has rated books (0.5–5 stars), weight the highly rated ones (4+) far more \
+heavily than anything else — they are the clearest statement of taste. Treat books rated 2 or \
+below as evidence of what to avoid, and say so when it shapes a recommendation. Unrated books \
+are neutral context.
+
   QUALITY SIGNALS
   Have they read books that won or were shortlisted for major prizes (Booker, Pulitzer, National Book \
 Award, Nobel, PEN/Faulkner, Baillie Gifford, NBCC, Costa)? Do they tend toward canonical works, \
@@ -167,7 +186,13 @@ Fiction / Nonfiction split (read): ${fictionCount} fiction, ${nonfictionCount} n
 Difficulty (read): Light ${diffCounts.Light} · Moderate ${diffCounts.Moderate} · Dense ${diffCounts.Dense}
 Top genres (read): ${topGenres || 'n/a'}
 
-BOOKS READ — study these carefully to understand taste:
+HIGHLY RATED (4+ stars) — weight these most heavily:
+${favouritesBlock}
+
+RATED POORLY (2 stars or fewer) — steer away from what these share:
+${dislikedBlock}
+
+BOOKS READ — study these carefully to understand taste (highest rated first):
 ${readBooksBlock}
 
 CURRENTLY READING — context only:
@@ -176,6 +201,12 @@ ${readingBooksBlock}
 ALL LIBRARY TITLES — do not recommend any of these:
 ${allTitlesBlock}
 
+${author
+  ? `AUTHOR FOCUS: recommend only books by ${author} that are not in the library above. This overrides \
+the usual rule against choosing books for a shared author — rank their other work by how well it \
+fits this reader, and say in "why" which of their books the reader has already read or rated. If \
+they have fewer than 5 other books worth reading, return only those.\n`
+  : ''}
 ${prompt
   ? `SPECIFIC REQUEST: "${prompt}"\nHonour this request, but only recommend books that genuinely match the reader's demonstrated literary sensibility.`
   : 'No specific request — give your most considered open-ended recommendations based on everything you observe about this reader.'
@@ -0,0 +1,38 @@
+-- Bookish — per-user libraries
+-- Run in the Supabase SQL editor (or `supabase db push`).
+--
+-- Adds an owner column to bookslist and row-level security so each
+-- signed-in user can only see and change their own books. The anon key
+-- in js/supabase.js is public; these policies are what protect the data.
+
+alter table public.bookslist
+  add column if not exists user_id uuid references auth.users (id) on delete cascade
+  default auth.uid();
+
+create index if not exists bookslist_user_id_idx on public.bookslist (user_id);
+
+-- Existing rows predate accounts. Claim them for your user after signing up:
+--   update public.bookslist set user_id = '<your auth.users id>' where user_id is null;
+
+alter table public.bookslist enable row level security;
+
+drop policy if exists "Users read own books" on public.bookslist;
+create policy "Users read own books"
+  on public.bookslist for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "Users insert own books" on public.bookslist;
+create policy "Users insert own books"
+  on public.bookslist for insert
+  with check (auth.uid() = user_id);
+
+drop policy if exists "Users update own books" on public.bookslist;
+create policy "Users update own books"
+  on public.bookslist for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+drop policy if exists "Users delete own books" on public.bookslist;
+create policy "Users delete own books"
+  on public.bookslist for delete
+  using (auth.uid() = user_id);
@@ -0,0 +1,25 @@
+-- Bookish — reading sessions
+-- One row per read of a book. Rows are opened and closed by the app as a
+-- book's status moves between unread → reading → read, so re-reads get
+-- their own row.
+
+create table if not exists public.reading_sessions (
+  id text primary key,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  book_id text not null references public.bookslist (id) on delete cascade,
+  started_at date,
+  finished_at date,
+  abandoned boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reading_sessions_user_id_idx on public.reading_sessions (user_id);
+create index if not exists reading_sessions_book_id_idx on public.reading_sessions (book_id);
+
+alter table public.reading_sessions enable row level security;
+
+drop policy if exists "Users manage own reading sessions" on public.reading_sessions;
+create policy "Users manage own reading sessions"
+  on public.reading_sessions for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
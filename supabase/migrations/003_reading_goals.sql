@@ -0,0 +1,19 @@
+-- Bookish — yearly reading goals
+-- One target per user per year, e.g. 40 books in 2026.
+
+create table if not exists public.reading_goals (
+  id text primary key,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  year integer not null,
+  target integer not null check (target > 0),
+  updated_at timestamptz not null default now(),
+  unique (user_id, year)
+);
+
+alter table public.reading_goals enable row level security;
+
+drop policy if exists "Users manage own reading goals" on public.reading_goals;
+create policy "Users manage own reading goals"
+  on public.reading_goals for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
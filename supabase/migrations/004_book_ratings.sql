@@ -0,0 +1,9 @@
+-- Bookish — star ratings and written reviews
+-- Ratings are 0.5–5 in half-star steps; null means "not rated".
+
+alter table public.bookslist
+  add column if not exists rating numeric(2,1)
+    check (rating is null or (rating between 0.5 and 5 and rating * 2 = floor(rating * 2)));
+
+alter table public.bookslist
+  add column if not exists review text not null default '';
@@ -0,0 +1,11 @@
+-- Bookish — free-form tags and user-defined shelves
+-- Both are plain text arrays on the book ("book club", "gift from Mom";
+-- "Nightstand", "To lend").
+
+alter table public.bookslist
+  add column if not exists tags text[] not null default '{}';
+
+alter table public.bookslist
+  add column if not exists shelves text[] not null default '{}';
+
+create index if not exists bookslist_tags_idx on public.bookslist using gin (tags);
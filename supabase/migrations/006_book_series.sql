@@ -0,0 +1,10 @@
+-- Bookish — series tracking
+-- series is the series name ('' when standalone); series_position is the
+-- volume number, fractional for novellas (2.5) and 0 for prequels.
+
+alter table public.bookslist
+  add column if not exists series text not null default '';
+
+alter table public.bookslist
+  add column if not exists series_position numeric(5,1)
+    check (series_position is null or series_position >= 0);
@@ -0,0 +1,12 @@
+-- Bookish — multiple authors and other contributors
+-- contributors is an ordered list of { "name": ..., "role": ... } with role
+-- one of author, translator, editor, illustrator, narrator, contributor.
+-- `author` stays as the display string ("A, B & C") for sorting and search.
+
+alter table public.bookslist
+  add column if not exists contributors jsonb not null default '[]';
+
+-- Existing books: their author becomes the single contributor
+update public.bookslist
+  set contributors = jsonb_build_array(jsonb_build_object('name', author, 'role', 'author'))
+  where contributors = '[]'::jsonb and author <> '';
@@ -0,0 +1,22 @@
+-- Bookish — saved views
+-- Named filter + sort combinations ("Audible backlog") shown as chips
+-- above the table. `query` is the same string the app keeps in the URL,
+-- e.g. status=unread&formats=audible&sort=-rating
+
+create table if not exists public.saved_views (
+  id text primary key,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null check (length(trim(name)) > 0),
+  query text not null default '',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, name)
+);
+
+alter table public.saved_views enable row level security;
+
+drop policy if exists "Users manage own saved views" on public.saved_views;
+create policy "Users manage own saved views"
+  on public.saved_views for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,16 @@
+-- Bookish — ISBN lookup cache
+-- Metadata the /api/lookup Netlify function has fetched, keyed by
+-- ISBN-13, so scanning the same book again doesn't ask Google Books or
+-- Open Library. `book` is null for an ISBN no source knew (retried after
+-- a day); found books are refreshed after 90 days.
+--
+-- Shared by every user and only touched by the function (service role),
+-- so RLS is on with no policies: browsers can't read or write it.
+
+create table if not exists public.isbn_lookup_cache (
+  isbn13 text primary key check (isbn13 ~ '^97[89][0-9]{10}$'),
+  book jsonb,
+  fetched_at timestamptz not null default now()
+);
+
+alter table public.isbn_lookup_cache enable row level security;
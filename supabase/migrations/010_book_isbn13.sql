@@ -0,0 +1,57 @@
+-- Bookish — normalized ISBN
+-- isbn keeps what was entered (ISBN-10 or ISBN-13); isbn13 is its
+-- ISBN-13 form, or '' when it isn't a valid ISBN, so duplicate checks
+-- match a book whichever form was scanned. The app writes it on every
+-- save; isbn_to_13() fills it in for existing books.
+
+alter table public.bookslist
+  add column if not exists isbn13 text not null default '';
+
+-- ISBN-10 or ISBN-13 (hyphens/spaces allowed) → ISBN-13, or '' if the
+-- check digit is wrong or it isn't a 978/979 (non-ISMN) code
+create or replace function public.isbn_to_13(value text)
+returns text
+language sql
+immutable
+as $$
+  with cleaned as (
+    select upper(regexp_replace(coalesce(value, ''), '[^0-9Xx]', '', 'g')) as isbn
+  ),
+  checked as (
+    select
+      case
+        when isbn ~ '^[0-9]{9}[0-9X]$'
+          and (
+            select sum(
+              (case when substr(isbn, i, 1) = 'X' then 10 else substr(isbn, i, 1)::int end) * (11 - i)
+            ) from generate_series(1, 10) as i
+          ) % 11 = 0
+          then '978' || substr(isbn, 1, 9)
+        when isbn ~ '^97[89][0-9]{10}$' and isbn !~ '^9790'
+          and (
+            select sum(substr(isbn, i, 1)::int * case when i % 2 = 1 then 1 else 3 end)
+            from generate_series(1, 13) as i
+          ) % 10 = 0
+          then substr(isbn, 1, 12)
+      end as stem
+    from cleaned
+  )
+  select coalesce(
+    stem || (
+      (10 - (
+        select sum(substr(stem, i, 1)::int * case when i % 2 = 1 then 1 else 3 end)
+        from generate_series(1, 12) as i
+      ) % 10) % 10
+    )::text,
+    ''
+  )
+  from checked;
+$$;
+
+update public.bookslist
+  set isbn13 = public.isbn_to_13(isbn)
+  where isbn13 = '' and isbn <> '';
+
+create index if not exists bookslist_user_isbn13_idx
+  on public.bookslist (user_id, isbn13)
+  where isbn13 <> '';
@@ -0,0 +1,148 @@
+/**
+ * BOOKISH LIBRARY - SERVICE WORKER
+ * Precaches the app shell so the installed PWA opens without a network.
+ *
+ * CACHE_VERSION is stamped with the commit ref by the Netlify build
+ * (see netlify.toml). A new value makes the browser install a fresh
+ * worker, which the page offers to activate with an "update available" toast.
+ */
+
+const CACHE_VERSION = '__BUILD_ID__';
+const CACHE_PREFIX = 'bookish-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Everything the app needs to boot
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.json',
+  'css/styles.css',
+  'icons/icon-192x192.png',
+  'icons/icon-512x512.png',
+  'js/adapters.js',
+  'js/api.js',
+  'js/app.js',
+  'js/auth.js',
+  'js/authors.js',
+  'js/backup.js',
+  'js/barcode.js',
+  'js/batchscan.js',
+  'js/book.js',
+  'js/cache.js',
+  'js/charts.js',
+  'js/chips.js',
+  'js/covers.js',
+  'js/csv.js',
+  'js/data.js',
+  'js/discover.js',
+  'js/exporter.js',
+  'js/goal.js',
+  'js/importer.js',
+  'js/isbn.js',
+  'js/providers.js',
+  'js/pwa.js',
+  'js/search.js',
+  'js/series.js',
+  'js/session.js',
+  'js/stats.js',
+  'js/supabase.js',
+  'js/ui.js',
+  'js/utils.js',
+  'js/views.js',
+  'js/virtual.js'
+];
+
+// Third-party scripts loaded from the CDN
+const CDN_SCRIPTS = [
+  'https://cdn.jsdelivr.net/npm/@ericblade/quagga2@1.8.4/dist/quagga.min.js',
+  'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/+esm'
+];
+
+const CDN_ORIGIN = 'https://cdn.jsdelivr.net';
+
+/**
+ * Install: precache the shell. CDN scripts are best-effort so a CDN
+ * hiccup doesn't block the update.
+ */
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+
+    const results = await Promise.allSettled(
+      CDN_SCRIPTS.map(url => cache.add(new Request(url, { mode: 'cors' })))
+    );
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.warn('[sw] CDN precache failed:', result.reason));
+  })());
+});
+
+/**
+ * Activate: drop caches from previous builds
+ */
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(
+      keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))
+    );
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * The page asks a waiting worker to take over when the user taps "Reload"
+ */
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Fetch: cache-first for the shell and CDN scripts; everything else
+ * (Supabase, /api/*, Netlify functions) goes straight to the network.
+ */
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (sameOrigin && (url.pathname.startsWith('/api/') || url.pathname.startsWith('/.netlify/'))) {
+    return;
+  }
+
+  // Navigations (including ?isbn= links) always boot the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('index.html', { cacheName: CACHE_NAME })
+        .then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  if (sameOrigin || url.origin === CDN_ORIGIN) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * Serve from cache, falling back to the network and caching the result
+ * (this also picks up the modules the Supabase ESM bundle imports)
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBackup, readBackup } from '../js/backup.js';
+
+test('backups carry saved views', () => {
+  const views = [{ id: 'view-1', name: 'Audible backlog', query: 'status=unread&formats=audible' }];
+  const backup = readBackup(JSON.stringify(createBackup({ views })));
+  assert.deepEqual(backup.views, views);
+});
+
+test('readBackup drops malformed saved views and defaults them for older backups', () => {
+  const backup = createBackup({});
+  backup.views = [{ name: 'Kept', query: '' }, { name: '', query: 'q=x' }, { query: 'q=y' }, null];
+  assert.deepEqual(readBackup(JSON.stringify(backup)).views, [{ name: 'Kept', query: '' }]);
+
+  const v1 = [{ id: 'book-1', title: 'Dune', author: 'Frank Herbert' }];
+  assert.deepEqual(readBackup(JSON.stringify(v1)).views, []);
+  assert.equal(readBackup(JSON.stringify({ ...createBackup({}), views: 'nope' })), null);
+});
+
+test('readBackup rejects JSON arrays that are not book rows', () => {
+  assert.equal(readBackup(JSON.stringify([{ title: 'Dune' }])), null);
+  assert.equal(readBackup(JSON.stringify([{ id: 1, title: 'Q3 report', owner: 'finance' }])), null);
+  assert.equal(readBackup(JSON.stringify([])), null);
+  assert.notEqual(readBackup(JSON.stringify([{ id: 'b1', title: 'Dune', fiction_type: 'Fiction' }])), null);
+  assert.notEqual(readBackup(JSON.stringify([{ id: 'b1', title: 'Dune', fictionType: 'Fiction' }])), null);
+});
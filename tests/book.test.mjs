@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseAuthors, parseSeries } from '../js/book.js';
+
+test('parseAuthors splits on &, ; and "and"', () => {
+  assert.deepEqual(parseAuthors('Neil Gaiman & Terry Pratchett'), ['Neil Gaiman', 'Terry Pratchett']);
+  assert.deepEqual(parseAuthors('Stephen King and Peter Straub'), ['Stephen King', 'Peter Straub']);
+  assert.deepEqual(parseAuthors('A; B'), ['A', 'B']);
+  assert.deepEqual(parseAuthors(''), []);
+});
+
+test('parseAuthors keeps "Last, First" names whole', () => {
+  assert.deepEqual(parseAuthors('Dahl, Roald'), ['Dahl, Roald']);
+  assert.deepEqual(parseAuthors('Le Guin, Ursula K. & Someone'), ['Le Guin, Ursula K.', 'Someone']);
+  assert.deepEqual(parseAuthors('Le Guin, Ursula K.; Gaiman, Neil'), ['Le Guin, Ursula K.', 'Gaiman, Neil']);
+  assert.deepEqual(parseAuthors('Martin Luther King, Jr.'), ['Martin Luther King, Jr.']);
+});
+
+test('parseAuthors reads commas before the last & as a list', () => {
+  assert.deepEqual(
+    parseAuthors('Neil Gaiman, Terry Pratchett & Someone Else'),
+    ['Neil Gaiman', 'Terry Pratchett', 'Someone Else']
+  );
+  assert.deepEqual(
+    parseAuthors('J. R. R. Tolkien, C. S. Lewis & Owen Barfield'),
+    ['J. R. R. Tolkien', 'C. S. Lewis', 'Owen Barfield']
+  );
+});
+
+test('parseSeries reads series strings from lookups and catalogues', () => {
+  assert.deepEqual(parseSeries('The Expanse #3'), { series: 'The Expanse', seriesPosition: 3 });
+  assert.deepEqual(parseSeries('Discworld; Vol. 12'), { series: 'Discworld', seriesPosition: 12 });
+  assert.deepEqual(parseSeries('Discworld -- 5'), { series: 'Discworld', seriesPosition: 5 });
+  assert.deepEqual(parseSeries('Dune ; bk. 2'), { series: 'Dune', seriesPosition: 2 });
+  assert.deepEqual(parseSeries('Earthsea'), { series: 'Earthsea', seriesPosition: null });
+});
@@ -0,0 +1,7 @@
+// Module hooks for tests: files under js/ are browser ES modules
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && /\/js\/[^/]+\.js$/.test(url)) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
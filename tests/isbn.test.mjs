@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isbn10To13, isbn13To10, isbnProblem, parseISBN, toISBN13 } from '../js/isbn.js';
+
+test('parseISBN reads ISBN-10s with an X check digit, either case', () => {
+  const expected = { isbn10: '080442957X', isbn13: '9780804429573' };
+  assert.deepEqual(parseISBN('080442957X'), expected);
+  assert.deepEqual(parseISBN('0-8044-2957-x'), expected);
+});
+
+test('parseISBN ignores hyphens and spaces', () => {
+  const expected = { isbn10: '0441172717', isbn13: '9780441172719' };
+  assert.deepEqual(parseISBN('978-0-441-17271-9'), expected);
+  assert.deepEqual(parseISBN('0 441 17271 7'), expected);
+});
+
+test('parseISBN gives 979 ISBNs no ISBN-10', () => {
+  assert.deepEqual(parseISBN('979-10-90636-07-1'), { isbn10: '', isbn13: '9791090636071' });
+});
+
+test('parseISBN rejects bad check digits, other EANs and ISMNs', () => {
+  assert.equal(parseISBN('9780441172710'), null);
+  assert.equal(parseISBN('0441172718'), null);
+  assert.equal(parseISBN('4006381333931'), null);
+  assert.equal(parseISBN('9790060115615'), null);
+  assert.match(isbnProblem('9790060115615'), /ISMN/);
+});
+
+test('isbn10To13 and isbn13To10 round-trip', () => {
+  ['0441172717', '080442957X', '0306406152'].forEach(isbn10 => {
+    assert.equal(isbn13To10(isbn10To13(isbn10)), isbn10);
+  });
+  assert.equal(isbn10To13('0-306-40615-2'), '9780306406157');
+  assert.equal(isbn13To10('9780306406157'), '0306406152');
+});
+
+test('toISBN13 returns an empty string for invalid input', () => {
+  assert.equal(toISBN13('0441172717'), '9780441172719');
+  assert.equal(toISBN13('0441172718'), '');
+  assert.equal(toISBN13('not an isbn'), '');
+  assert.equal(toISBN13(''), '');
+  assert.equal(toISBN13(null), '');
+});
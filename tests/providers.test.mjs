@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFixtureProvider, lookupWithProviders, registerProvider } from '../js/providers.js';
+
+const ISBN = '9780316129084';
+
+// Title and authors but no cover
+registerProvider(createFixtureProvider({
+  [ISBN]: { title: 'Leviathan Wakes', authors: ['James S. A. Corey'], publicationDate: '2011' }
+}, { id: 'sparse', name: 'Sparse' }));
+
+// A different title and a cover
+registerProvider(createFixtureProvider({
+  [ISBN]: {
+    title: 'Leviathan Wakes (Expanse 1)',
+    authors: ['Someone Else'],
+    coverUrl: 'http://covers.example/lw.jpg',
+    series: 'The Expanse #1',
+    categories: ['Fiction']
+  }
+}, { id: 'covers', name: 'Covers' }));
+
+registerProvider({
+  id: 'down',
+  name: 'Down',
+  async lookup() {
+    throw new Error('offline');
+  }
+});
+
+test('lookupWithProviders merges field by field, earlier providers winning', async () => {
+  const book = await lookupWithProviders(ISBN, { order: ['sparse', 'covers'] });
+
+  assert.equal(book.title, 'Leviathan Wakes');
+  assert.equal(book.author, 'James S. A. Corey');
+  assert.equal(book.publicationDate, '2011');
+  assert.equal(book.coverUrl, 'https://covers.example/lw.jpg');
+  assert.equal(book.series, 'The Expanse');
+  assert.equal(book.seriesPosition, 1);
+  assert.deepEqual(book.categories, ['Fiction']);
+  assert.equal(book.source, 'Sparse + Covers');
+});
+
+test('lookupWithProviders records which provider supplied each field', async () => {
+  const book = await lookupWithProviders(ISBN, { order: ['sparse', 'covers'] });
+
+  assert.deepEqual(book.sources, {
+    title: 'sparse',
+    authors: 'sparse',
+    isbn: 'sparse',
+    publicationDate: 'sparse',
+    coverUrl: 'covers',
+    series: 'covers',
+    categories: 'covers'
+  });
+});
+
+test('lookupWithProviders honours an order override', async () => {
+  const book = await lookupWithProviders(ISBN, { order: ['covers', 'sparse'] });
+
+  assert.equal(book.title, 'Leviathan Wakes (Expanse 1)');
+  assert.equal(book.author, 'Someone Else');
+  assert.equal(book.sources.title, 'covers');
+  assert.equal(book.sources.publicationDate, 'sparse');
+});
+
+test('lookupWithProviders skips providers covered by one that answered', async () => {
+  registerProvider(createFixtureProvider({}, { id: 'merged', name: 'Merged', covers: ['covers'] }));
+
+  assert.equal(await lookupWithProviders(ISBN, { order: ['merged', 'covers'] }), null);
+  assert.equal((await lookupWithProviders(ISBN, { order: ['merged', 'sparse'] })).title, 'Leviathan Wakes');
+});
+
+test('lookupWithProviders throws when every provider fails, not when they miss', async () => {
+  await assert.rejects(lookupWithProviders(ISBN, { order: ['down'] }), /All ISBN providers failed \(down\)/);
+  assert.equal(await lookupWithProviders('9780000000002', { order: ['down', 'sparse'] }), null);
+  assert.equal((await lookupWithProviders(ISBN, { order: ['down', 'sparse'] })).title, 'Leviathan Wakes');
+});
@@ -0,0 +1,4 @@
+// Loads js/ (browser ES modules) as ESM despite "type": "commonjs"
+import { register } from 'node:module';
+
+register('./esm-hooks.mjs', import.meta.url);
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHtml, validateBook } from '../js/utils.js';
+
+test('escapeHtml escapes markup and both quote characters', () => {
+  assert.equal(escapeHtml('<b>"Tom" & \'Jerry\'</b>'), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(3), '3');
+});
+
+test('validateBook explains what is wrong with an ISBN', () => {
+  const book = {
+    title: 'Dune', author: 'Frank Herbert', genre: 'Science Fiction',
+    fictionType: 'Fiction', difficulty: 'Moderate', status: 'unread', formats: ['physical']
+  };
+  assert.deepEqual(validateBook({ ...book, isbn: '9780441172719' }).errors, []);
+  assert.deepEqual(validateBook({ ...book, isbn: '12345' }).errors, ['ISBN must be 10 or 13 digits']);
+  assert.deepEqual(
+    validateBook({ ...book, isbn: '9790060115615' }).errors,
+    ['That\'s a sheet-music barcode (ISMN), not a book']
+  );
+});